@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+import { mkdir, readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import * as ort from 'onnxruntime-node';
+import sharp from 'sharp';
+import {
+  LETTERBOX_GREY,
+  letterboxGeometry,
+  rgbaToTensor,
+  decodeOutput,
+  scaleBoxesToFrame
+} from '../src/detectionPipeline.js';
+import { DEFAULT_CLASS_NAMES, readModelInfo, parseClassNames } from '../src/onnxModelInfo.js';
+import { DEFAULT_DETECTION_SETTINGS, confidenceThreshold } from '../src/thresholds.js';
+import { parseYoloLabels, evaluate } from './metrics.js';
+
+// Runs the model over a folder of images with the same preprocessing, decoding and NMS as the
+// browser, writes the detections, and scores them against YOLO label files when there are any.
+//
+//   npm run inspect:batch -- <image folder> [--model public/best.onnx] [--out batch-results]
+//     [--conf 0.4] [--iou 0.5] [--class-agnostic] [--class-conf TEAR=0.25 ...] [--input-size 640]
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.bmp', '.webp', '.tif', '.tiff']);
+// Ultralytics scores mAP from (almost) every candidate box, not just the confident ones
+const EVAL_CONFIDENCE = 0.001;
+
+const USAGE = 'Usage: npm run inspect:batch -- <image folder> [--model public/best.onnx] [--out batch-results] ' +
+  '[--conf 0.4] [--iou 0.5] [--class-agnostic] [--class-conf LABEL=0.25 ...] [--input-size 640]';
+
+function parseOptions() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      model: { type: 'string', default: 'public/best.onnx' },
+      out: { type: 'string', default: 'batch-results' },
+      conf: { type: 'string', default: String(DEFAULT_DETECTION_SETTINGS.confidence) },
+      iou: { type: 'string', default: String(DEFAULT_DETECTION_SETTINGS.nms) },
+      'class-agnostic': { type: 'boolean', default: false },
+      'class-conf': { type: 'string', multiple: true, default: [] },
+      'input-size': { type: 'string', default: '640' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  const classOverrides = {};
+  values['class-conf'].forEach(entry => {
+    const [label, value] = entry.split('=');
+    if (!label || isNaN(parseFloat(value))) throw new Error(`Bad --class-conf "${entry}", expected LABEL=0.25`);
+    classOverrides[label] = { confidence: parseFloat(value) };
+  });
+
+  return {
+    imageDir: positionals[0],
+    modelPath: values.model,
+    outDir: values.out,
+    inputSize: parseInt(values['input-size'], 10),
+    settings: {
+      ...DEFAULT_DETECTION_SETTINGS,
+      confidence: parseFloat(values.conf),
+      nms: parseFloat(values.iou),
+      classAgnostic: values['class-agnostic'],
+      classOverrides
+    }
+  };
+}
+
+async function findImages(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findImages(fullPath);
+    return IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+  }));
+  return nested.flat().sort();
+}
+
+// Ultralytics layout (.../images/x.jpg -> .../labels/x.txt), or a .txt next to the image
+async function readLabels(imagePath) {
+  const base = path.basename(imagePath, path.extname(imagePath)) + '.txt';
+  const parts = path.dirname(imagePath).split(path.sep);
+  const imagesIndex = parts.lastIndexOf('images');
+  const candidates = [path.join(path.dirname(imagePath), base)];
+  if (imagesIndex >= 0) {
+    candidates.unshift(path.join(...parts.slice(0, imagesIndex), 'labels', ...parts.slice(imagesIndex + 1), base));
+  }
+  for (const candidate of candidates) {
+    try {
+      return await readFile(candidate, 'utf8');
+    } catch {
+      // try the next location
+    }
+  }
+  return null;
+}
+
+// Same letterbox as the worker: resize into the square input, pad with grey, RGBA out.
+// EXIF orientation is applied the way createImageBitmap does in the browser.
+async function loadLetterboxed(imagePath, inputSize) {
+  const { data, info } = await sharp(imagePath).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const letterbox = letterboxGeometry(info.width, info.height, inputSize);
+  const rgba = await sharp(data, { raw: info })
+    .resize(letterbox.scaledWidth, letterbox.scaledHeight, { fit: 'fill' })
+    .extend({
+      top: letterbox.padY,
+      bottom: inputSize - letterbox.scaledHeight - letterbox.padY,
+      left: letterbox.padX,
+      right: inputSize - letterbox.scaledWidth - letterbox.padX,
+      background: { r: LETTERBOX_GREY, g: LETTERBOX_GREY, b: LETTERBOX_GREY }
+    })
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+  return { tensor: rgbaToTensor(rgba, inputSize), letterbox };
+}
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+function detectionsToCsv(results) {
+  const columns = ['image', 'label', 'classId', 'confidence', 'x1', 'y1', 'x2', 'y2'];
+  const rows = results.flatMap(({ image, detections }) => detections.map(detection =>
+    columns.map(column => csvCell(column === 'image' ? image : detection[column])).join(',')
+  ));
+  return [columns.join(','), ...rows].join('\n');
+}
+
+const formatMetric = (value) => value === null ? '–' : value.toFixed(3);
+
+async function main() {
+  const { imageDir, modelPath, outDir, inputSize, settings } = parseOptions();
+
+  const modelBytes = await readFile(modelPath);
+  let names = DEFAULT_CLASS_NAMES;
+  try {
+    names = parseClassNames(readModelInfo(new Uint8Array(modelBytes)).metadata.names) || names;
+  } catch (infoError) {
+    console.warn(`Could not read model metadata (${infoError.message}), using the default class names`);
+  }
+  const session = await ort.InferenceSession.create(modelBytes);
+
+  const images = await findImages(imageDir);
+  if (!images.length) throw new Error(`No images found in ${imageDir}`);
+  console.log(`${images.length} images, ${names.length} classes (${names.join(', ')})`);
+
+  const isReported = (detection) => detection.confidence > confidenceThreshold(settings, detection.label);
+  // Low thresholds for scoring; the reported detections are filtered back to the real ones
+  const evalSettings = {
+    ...settings,
+    confidence: EVAL_CONFIDENCE,
+    classOverrides: Object.fromEntries(Object.entries(settings.classOverrides)
+      .map(([label, override]) => [label, { ...override, confidence: EVAL_CONFIDENCE }]))
+  };
+
+  const results = [];
+  const evaluated = [];
+  for (const imagePath of images) {
+    const labelText = await readLabels(imagePath);
+    const { tensor, letterbox } = await loadLetterboxed(imagePath, inputSize);
+    const outputs = await session.run({
+      [session.inputNames[0]]: new ort.Tensor('float32', tensor, [1, 3, inputSize, inputSize])
+    });
+    const output = outputs[session.outputNames[0]];
+    const boxes = decodeOutput(output.data, output.dims, names, labelText !== null ? evalSettings : settings);
+    const detections = scaleBoxesToFrame(boxes, letterbox);
+
+    const image = path.relative(imageDir, imagePath);
+    const reported = detections.filter(isReported);
+    results.push({
+      image,
+      width: letterbox.frameWidth,
+      height: letterbox.frameHeight,
+      detections: reported.map(({ label, classId, confidence, x1, y1, x2, y2 }) => ({
+        label,
+        classId,
+        confidence: round(confidence, 4),
+        x1: round(x1),
+        y1: round(y1),
+        x2: round(x2),
+        y2: round(y2)
+      }))
+    });
+    if (labelText !== null) {
+      evaluated.push({ detections, groundTruth: parseYoloLabels(labelText, letterbox.frameWidth, letterbox.frameHeight) });
+    }
+    console.log(`${image}: ${reported.length} detections${labelText !== null ? '' : ' (no labels)'}`);
+  }
+
+  await mkdir(outDir, { recursive: true });
+  await writeFile(path.join(outDir, 'detections.json'), JSON.stringify({ model: modelPath, settings, results }, null, 2));
+  await writeFile(path.join(outDir, 'detections.csv'), detectionsToCsv(results));
+
+  if (evaluated.length) {
+    const metrics = evaluate(evaluated, names, isReported);
+    await writeFile(path.join(outDir, 'metrics.json'), JSON.stringify({ images: evaluated.length, ...metrics }, null, 2));
+    console.log(`\nMetrics over ${evaluated.length} labelled images:`);
+    console.table([...metrics.perClass, metrics.all].map(row => ({
+      class: row.label,
+      instances: row.instances,
+      detections: row.detections,
+      P: formatMetric(row.precision),
+      R: formatMetric(row.recall),
+      'mAP50': formatMetric(row.ap50),
+      'mAP50-95': formatMetric(row.ap50_95)
+    })));
+  }
+  console.log(`Results written to ${outDir}`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+import { calculateIoU } from '../src/detectionPipeline.js';
+
+// Detection metrics against YOLO ground truth: precision/recall at the configured thresholds
+// and AP per class (all-point interpolation) at IoU 0.5 and averaged over 0.5:0.95.
+
+const IOU_THRESHOLDS = Array.from({ length: 10 }, (_, i) => 0.5 + i * 0.05);
+
+// One "class cx cy w h" line per object, normalised to the image size
+export function parseYoloLabels(text, frameWidth, frameHeight) {
+  return text.split('\n')
+    .map(line => line.trim().split(/\s+/).map(Number))
+    .filter(values => values.length >= 5 && values.every(value => !isNaN(value)))
+    .map(([classId, cx, cy, w, h]) => ({
+      classId,
+      x1: (cx - w / 2) * frameWidth,
+      y1: (cy - h / 2) * frameHeight,
+      x2: (cx + w / 2) * frameWidth,
+      y2: (cy + h / 2) * frameHeight
+    }));
+}
+
+// Greedy matching, most confident detection first, each ground-truth box used once.
+// Returns a true-positive flag per detection for every IoU threshold.
+function matchImage(detections, groundTruth) {
+  const matched = [...detections]
+    .sort((a, b) => b.confidence - a.confidence)
+    .map(detection => ({ detection, tp: [] }));
+
+  IOU_THRESHOLDS.forEach((threshold, t) => {
+    const used = new Set();
+    matched.forEach(entry => {
+      let best = -1;
+      let bestIoU = threshold;
+      groundTruth.forEach((box, g) => {
+        if (used.has(g) || box.classId !== entry.detection.classId) return;
+        const overlap = calculateIoU(entry.detection, box);
+        if (overlap >= bestIoU) {
+          best = g;
+          bestIoU = overlap;
+        }
+      });
+      if (best >= 0) used.add(best);
+      entry.tp[t] = best >= 0;
+    });
+  });
+  return matched;
+}
+
+function averagePrecision(entries, instances) {
+  if (!instances) return null;
+  const recall = [0];
+  const precision = [1];
+  let tp = 0;
+  entries.forEach((hit, i) => {
+    if (hit) tp++;
+    recall.push(tp / instances);
+    precision.push(tp / (i + 1));
+  });
+  recall.push(1);
+  precision.push(0);
+  // Precision envelope, then area under the stepped curve
+  for (let i = precision.length - 2; i >= 0; i--) precision[i] = Math.max(precision[i], precision[i + 1]);
+  let ap = 0;
+  for (let i = 1; i < recall.length; i++) ap += (recall[i] - recall[i - 1]) * precision[i];
+  return ap;
+}
+
+// images: [{ detections, groundTruth }] with detections decoded at a very low confidence so
+// the whole precision/recall curve is available; isReported(detection) says whether it
+// passes the station's thresholds, for the operating-point precision/recall.
+export function evaluate(images, names, isReported) {
+  const matched = images.flatMap(({ detections, groundTruth }) => matchImage(detections, groundTruth));
+  const classIds = [...new Set([
+    ...images.flatMap(({ groundTruth }) => groundTruth.map(box => box.classId)),
+    ...matched.map(({ detection }) => detection.classId)
+  ])].sort((a, b) => a - b);
+
+  const perClass = classIds.map(classId => {
+    const instances = images.reduce((sum, { groundTruth }) => sum + groundTruth.filter(box => box.classId === classId).length, 0);
+    const entries = matched
+      .filter(({ detection }) => detection.classId === classId)
+      .sort((a, b) => b.detection.confidence - a.detection.confidence);
+    const reported = entries.filter(({ detection }) => isReported(detection));
+    const truePositives = reported.filter(({ tp }) => tp[0]).length;
+    const aps = IOU_THRESHOLDS.map((_, t) => averagePrecision(entries.map(({ tp }) => tp[t]), instances));
+
+    return {
+      label: names[classId] || String(classId),
+      instances,
+      detections: reported.length,
+      precision: reported.length ? truePositives / reported.length : null,
+      recall: instances ? truePositives / instances : null,
+      ap50: aps[0],
+      ap50_95: aps[0] === null ? null : aps.reduce((sum, ap) => sum + ap, 0) / aps.length
+    };
+  });
+
+  const mean = (key) => {
+    const values = perClass.map(row => row[key]).filter(value => value !== null);
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  };
+  return {
+    perClass,
+    all: {
+      label: 'all',
+      instances: perClass.reduce((sum, row) => sum + row.instances, 0),
+      detections: perClass.reduce((sum, row) => sum + row.detections, 0),
+      precision: mean('precision'),
+      recall: mean('recall'),
+      ap50: mean('ap50'),
+      ap50_95: mean('ap50_95')
+    }
+  };
+}
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+import http from 'node:http';
+import readline from 'node:readline';
+import { parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+
+// Stand-in for the reject gate / MES, for testing the station's line integration. Accepts
+// verdicts over WebSocket (acknowledged) and as webhook POSTs on the same port, logs them,
+// and sends the commands typed on stdin back to the station.
+//
+//   npm run mock:line -- [--port 8787] [--fail-rate 0.2]
+//
+// Commands: start | stop | recalibrate | profile <name or id>
+// --fail-rate drops that fraction of messages (no ack / HTTP 503) to exercise the retries.
+
+const USAGE = 'Usage: npm run mock:line -- [--port 8787] [--fail-rate 0]';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    'fail-rate': { type: 'string', default: '0' },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+});
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+const port = parseInt(values.port, 10);
+const failRate = parseFloat(values['fail-rate']) || 0;
+
+// Webhook stations only hear commands in the answer to their next POST
+let pendingHttpCommands = [];
+let nextCommandId = 1;
+const totals = {};
+
+const time = () => new Date().toISOString().slice(11, 23);
+
+function logMessage(message, via) {
+  if (message.type === 'verdict') {
+    totals[message.verdict] = (totals[message.verdict] || 0) + 1;
+    const size = message.diameterMM != null ? ` Ø${message.diameterMM.toFixed(2)}mm` : '';
+    const summary = Object.entries(totals).map(([verdict, count]) => `${verdict} ${count}`).join(', ');
+    console.log(`${time()} [${via}] ${message.stationId} part ${message.partId}: ${message.verdict}` +
+      ` (${message.defectClass} ${(message.confidence * 100).toFixed(1)}%)${size}  [${summary}]`);
+  } else if (message.type === 'poll') {
+    // Webhook stations ask for commands every few seconds; not worth a line each
+  } else if (message.type === 'commandResult') {
+    console.log(`${time()} [${via}] ${message.stationId} ${message.command}: ${message.ok ? 'ok' : `failed, ${message.message}`}`);
+  } else {
+    console.log(`${time()} [${via}] ${JSON.stringify(message)}`);
+  }
+}
+
+const server = http.createServer((req, res) => {
+  // The station page is served from another origin
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(404).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    if (Math.random() < failRate) {
+      console.log(`${time()} [http] dropped a message (simulated failure)`);
+      res.writeHead(503).end();
+      return;
+    }
+    try {
+      logMessage(JSON.parse(body), 'http');
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+    const commands = pendingHttpCommands;
+    pendingHttpCommands = [];
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, commands }));
+  });
+});
+
+const sockets = new WebSocketServer({ server });
+sockets.on('connection', (socket, req) => {
+  console.log(`${time()} [ws] station connected from ${req.socket.remoteAddress}`);
+  socket.on('close', () => console.log(`${time()} [ws] station disconnected`));
+  socket.on('message', data => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (Math.random() < failRate) {
+      console.log(`${time()} [ws] dropped a message (simulated failure)`);
+      return;
+    }
+    logMessage(message, 'ws');
+    socket.send(JSON.stringify({ type: 'ack', messageId: message.messageId }));
+  });
+});
+
+function parseCommand(line) {
+  const [name, ...rest] = line.trim().split(/\s+/);
+  if (['start', 'stop', 'recalibrate'].includes(name)) return { command: name };
+  if (name === 'profile' && rest.length) return { command: 'switchProfile', profile: rest.join(' ') };
+  return null;
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  if (!line.trim()) return;
+  const command = parseCommand(line);
+  if (!command) {
+    console.log('Commands: start | stop | recalibrate | profile <name or id>');
+    return;
+  }
+  const message = { type: 'command', commandId: nextCommandId++, ...command };
+  let delivered = 0;
+  sockets.clients.forEach(client => {
+    if (client.readyState === client.OPEN) {
+      client.send(JSON.stringify(message));
+      delivered++;
+    }
+  });
+  // Only queued for webhook stations when no socket took it, so a station that later
+  // switches transport doesn't get it again
+  if (delivered) {
+    console.log(`${time()} sent ${command.command} to ${delivered} WebSocket station(s)`);
+  } else {
+    pendingHttpCommands.push(message);
+    console.log(`${time()} queued ${command.command} for the next webhook call`);
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock line server on ws://localhost:${port} and http://localhost:${port}/verdicts`);
+  console.log('Commands: start | stop | recalibrate | profile <name or id>');
+});
@@ -1,44 +1,234 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { createInferenceClient } from './inferenceClient';
+import { createFrameScheduler } from './frameScheduler';
+import SourceControls from './SourceControls';
+import { createTracker } from './tracker';
+import InspectionLog from './InspectionLog';
+import SpcDashboard from './SpcDashboard';
+import { cropFromCanvas, logInspection, loadInspections, clearInspections } from './inspectionRecords';
+import CalibrationProfiles from './CalibrationProfiles';
+import CalibrationReferences from './CalibrationReferences';
+import { fitCalibration } from './calibrationFit';
+import PlaneCalibration from './PlaneCalibration';
+import { createPlane, planePixelsPerMM, measureDetection, ringDimensions } from './measurement';
+import { applyHomography } from './homography';
+import SizeCatalogue from './SizeCatalogue';
+import {
+  sizesFor,
+  matchSize,
+  combinedVerdict,
+  loadCatalogue,
+  saveCatalogue,
+  loadCustomSizes,
+  saveCustomSizes
+} from './sizeStandards';
+import DetectionSettings from './DetectionSettings';
+import { loadDetectionSettings, saveDetectionSettings } from './thresholds';
+import { detectOutputLayout, tileRegions } from './detectionPipeline';
+import ModelSettings from './ModelSettings';
+import DatasetPanel from './DatasetPanel';
+import { captureFrame } from './trainingData';
+import ConveyorPanel from './ConveyorPanel';
+import { loadConveyorSettings, saveConveyorSettings, insideRoi, updateLineCrossing } from './conveyor';
+import IntegrationPanel from './IntegrationPanel';
+import CameraPanel from './CameraPanel';
+import FrameReview from './FrameReview';
+import {
+  loadCameraSettings, saveCameraSettings, deviceSettings, withDeviceSettings, listCameras, videoConstraints,
+  trackControls, applyControls
+} from './cameraControls';
+import LotPanel from './LotPanel';
+import { createLot, saveLot, loadLots, lotPart, lotSummary, lotReportHtml } from './lots';
+import { unlockAudio, playAlarm } from './alerts';
+import { downloadBlob } from './download';
+import {
+  createLinePublisher,
+  verdictMessage,
+  loadIntegrationSettings,
+  saveIntegrationSettings
+} from './lineIntegration';
+import { loadModelSettings, saveModelSettings, applyClassification } from './cascade';
+import { DEFAULT_CLASS_NAMES, parseClassNames } from './onnxModelInfo';
+import {
+  createProfile,
+  saveProfile,
+  deleteProfile,
+  loadProfiles,
+  findProfileForCamera,
+  importProfiles,
+  loadMaxAgeDays,
+  saveMaxAgeDays
+} from './calibrationStore';
 
 const MODEL_INPUT_SIZE = 640;
-const classNames = ['BLOCK', 'INNER', 'OK', 'OUTER', 'SCAR', 'TEAR'];
-const NMS_THRESHOLD = 0.5;
-const CONFIDENCE_THRESHOLD = 0.4;
+const MAX_FRAMES_IN_FLIGHT = 2; // One running in the worker, one queued behind it
+const DEFAULT_TARGET_FPS = 5;
+const PERF_READOUT_INTERVAL_MS = 1000;
+const VIDEO_STEP_SECONDS = 1 / 30;
+const DEFAULT_CALIBRATION_TOLERANCE_MM = 0.1;
+const PLANE_GRID_STEP_MM = 10;
 
 function App() {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
-  const workerRef = useRef(null);
-  const isProcessingRef = useRef(false);
+  const overlayCanvasRef = useRef(null);
+  const inferenceRef = useRef(null);
+  const framesInFlightRef = useRef(0);
   const streamRef = useRef(null);
+  // Bumped per camera open and on cleanup; a getUserMedia that resolves for an older request is stale
+  const cameraRequestRef = useRef(0);
+  const classNamesRef = useRef(DEFAULT_CLASS_NAMES);
+  // Latest tracks live outside React state so results never restart the render loop
+  const tracksRef = useRef([]);
+  // Boxes of the latest result after NMS, before tracking; what a training capture starts from
+  const detectionsRef = useRef([]);
+  const trackerRef = useRef(createTracker());
+  const overlayDirtyRef = useRef(true);
+  // React state mirrored for the render loop and worker callbacks
+  const liveStateRef = useRef({});
+  const schedulerRef = useRef(createFrameScheduler(DEFAULT_TARGET_FPS));
+  const perfRef = useRef({ frames: 0, inferences: 0, latency: 0, timings: null });
+  const sourceRef = useRef('camera');
+  const stillImageRef = useRef(null);
+  // Bumped whenever the source or the shown image changes, so late results for the old one are ignored
+  const sourceEpochRef = useRef(0);
+  // Still frames (an image, a paused video position) whose parts have been finalised. Running
+  // one again, e.g. with new thresholds, only refreshes the preview. Ids carry a counter bumped
+  // per file selection, so the same index in a new set of files is a new still.
+  const finalisedStillsRef = useRef(new Set());
+  const fileSelectionRef = useRef(0);
+  const stillImageIdRef = useRef(null);
+  const publisherRef = useRef(null);
+  // Latest command handler, so the publisher created once never calls a stale one
+  const lineCommandRef = useRef(() => {});
+  // Breached limits of the open lot that have already raised the alarm
+  const alertedBreachesRef = useRef(new Set());
+  // Lots closed this session; a late save of their open state must not reopen them
+  const closedLotIdsRef = useRef(new Set());
 
   const [status, setStatus] = useState('loading');
   const [error, setError] = useState(null);
-  const [boxes, setBoxes] = useState([]);
   const [calibrationMode, setCalibrationMode] = useState(false);
   const [referenceSize, setReferenceSize] = useState(10);
   const [calibrationComplete, setCalibrationComplete] = useState(false);
   const [pixelsPerMM, setPixelsPerMM] = useState(null);
   const [selectedReferenceBox, setSelectedReferenceBox] = useState(null);
-  const [facingMode, setFacingMode] = useState('environment');
+  const [referenceSamples, setReferenceSamples] = useState([]);
+  const [calibrationToleranceMM, setCalibrationToleranceMM] = useState(DEFAULT_CALIBRATION_TOLERANCE_MM);
+  const [calibrationMethod, setCalibrationMethod] = useState('references');
+  const [planeSize, setPlaneSize] = useState({ widthMM: 100, heightMM: 50 });
+  const [planePoints, setPlanePoints] = useState([]);
+  const [plane, setPlane] = useState(null);
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings);
+  const [cameraDevices, setCameraDevices] = useState([]);
+  // Capabilities and current values of the running camera track
+  const [cameraTrackInfo, setCameraTrackInfo] = useState(null);
+  const [modelSummary, setModelSummary] = useState(null);
+  const [frameStats, setFrameStats] = useState(null);
+  const [targetFps, setTargetFps] = useState(DEFAULT_TARGET_FPS);
+  const [perfReadout, setPerfReadout] = useState(null);
+  const [source, setSource] = useState('camera');
+  const [imageFiles, setImageFiles] = useState([]);
+  const [imageIndex, setImageIndex] = useState(0);
+  const [videoFile, setVideoFile] = useState(null);
+  const [videoState, setVideoState] = useState({ playing: false, currentTime: 0, duration: 0 });
+  const [inspectionRecords, setInspectionRecords] = useState([]);
+  const [camera, setCamera] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [profilesLoaded, setProfilesLoaded] = useState(false);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [profileName, setProfileName] = useState('');
+  const [maxProfileAgeDays, setMaxProfileAgeDays] = useState(loadMaxAgeDays);
+  const [sizeCatalogue, setSizeCatalogue] = useState(loadCatalogue);
+  const [customSizes, setCustomSizes] = useState(loadCustomSizes);
+  const [detectionSettings, setDetectionSettings] = useState(loadDetectionSettings);
+  // Corners clicked so far while picking the tiling ROI; null when not picking
+  const [roiPoints, setRoiPoints] = useState(null);
+  const [modelSettings, setModelSettings] = useState(loadModelSettings);
+  // Names and input size of the loaded second-stage classifier
+  const [classifierInfo, setClassifierInfo] = useState(null);
+  const [classifierError, setClassifierError] = useState(null);
+  const [conveyorSettings, setConveyorSettings] = useState(loadConveyorSettings);
+  // 'roi' or 'line' while its points are being clicked, with the points so far
+  const [conveyorPicking, setConveyorPicking] = useState(null);
+  const [conveyorPoints, setConveyorPoints] = useState([]);
+  // Counted parts ({ verdict, time }) since the counter was last reset
+  const [countedParts, setCountedParts] = useState([]);
+  const [countingStartedAt, setCountingStartedAt] = useState(Date.now);
+  const [integrationSettings, setIntegrationSettings] = useState(loadIntegrationSettings);
+  const [integrationStatus, setIntegrationStatus] = useState(null);
+  const [lastLineCommand, setLastLineCommand] = useState(null);
+  // Stopped (from the UI or a line command): frames are still shown but not inspected
+  const [inspectionRunning, setInspectionRunning] = useState(true);
+  const [openLot, setOpenLot] = useState(null);
+  const [closedLots, setClosedLots] = useState([]);
+  // Limits the open lot has just exceeded, shown until the operator acknowledges them
+  const [lotAlert, setLotAlert] = useState(null);
+  // Held frame, parts and calibration for close review; the live view keeps running underneath
+  const [frozenFrame, setFrozenFrame] = useState(null);
+
+  // Declared before initCamera's effect so a reopened camera sees the current controls
+  const cameraSettingsRef = useRef(cameraSettings);
+  useEffect(() => {
+    cameraSettingsRef.current = cameraSettings;
+    saveCameraSettings(cameraSettings);
+  }, [cameraSettings]);
+
+  // Device labels are only filled in once camera permission has been given
+  const refreshCameraDevices = useCallback(() => {
+    listCameras()
+      .then(setCameraDevices)
+      .catch(err => setError('Could not list cameras: ' + err.message));
+  }, []);
+
+  useEffect(() => {
+    // Missing outside a secure context (e.g. plain http from another machine on the LAN)
+    if (!navigator.mediaDevices) return;
+    navigator.mediaDevices.addEventListener('devicechange', refreshCameraDevices);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refreshCameraDevices);
+  }, [refreshCameraDevices]);
+
+  const { deviceId: cameraDeviceId, facingMode } = cameraSettings;
+  const cameraResolution = deviceSettings(cameraSettings).resolution;
 
   // Initialize webcam with error handling
   const initCamera = useCallback(async () => {
+    const request = ++cameraRequestRef.current;
+    const stale = () => request !== cameraRequestRef.current;
     try {
       if (streamRef.current) {
         streamRef.current.getTracks().forEach(track => track.stop());
       }
 
-      const constraints = {
-        video: {
-          facingMode,
-          width: { ideal: 1920 },
-          height: { ideal: 1080 }
-        }
-      };
+      if (!navigator.mediaDevices) {
+        throw new Error('camera access needs HTTPS or localhost');
+      }
+      const constraints = { video: videoConstraints(cameraSettingsRef.current) };
 
       const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      // Closed, or reopened with other settings, while the camera was starting: let this one go
+      if (stale()) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
       streamRef.current = stream;
+      refreshCameraDevices();
+
+      const track = stream.getVideoTracks()[0];
+      // The saved focus/exposure/etc. go on before the first frame is inspected
+      await applyControls(track, deviceSettings(cameraSettingsRef.current).controls)
+        .catch(err => setError('Camera controls: ' + err.message));
+      if (stale()) return;
+      setCameraTrackInfo(trackControls(track));
+
+      // Calibration profiles are tied to the physical camera and its resolution
+      const settings = track.getSettings();
+      setCamera({
+        deviceId: settings.deviceId || null,
+        label: track.label,
+        width: settings.width,
+        height: settings.height
+      });
 
       const video = videoRef.current;
       if (video) {
@@ -47,204 +237,938 @@ function App() {
           video.onloadedmetadata = () => {
             video.play().then(resolve).catch(e => {
               setError('Playback error: ' + e.message);
-              setStatus('error');
               resolve();
             });
           };
         });
       }
     } catch (e) {
-      setError('Camera error: ' + e.message);
-      setStatus('error');
+      if (!stale()) setError('Camera error: ' + e.message);
     }
-  }, [facingMode]);
+    // Settings are read through the ref; a change of device or resolution reopens the camera
+  }, [cameraDeviceId, facingMode, cameraResolution, refreshCameraDevices]);
 
   // Initialize webcam
   useEffect(() => {
+    if (source !== 'camera') return;
     initCamera();
     
     return () => {
+      cameraRequestRef.current++;
       const stream = streamRef.current;
       if (stream) {
         stream.getTracks().forEach(track => track.stop());
+        streamRef.current = null;
       }
+      if (videoRef.current) {
+        videoRef.current.onloadedmetadata = null;
+        videoRef.current.srcObject = null;
+      }
+      setCamera(null);
+      setCameraTrackInfo(null);
     };
+  }, [source, initCamera]);
+
+  // Controls are applied to the running track straight away and kept for this camera
+  const changeCameraControls = useCallback((controls) => {
+    setCameraSettings(prev => withDeviceSettings(prev, { controls }));
+    const track = streamRef.current?.getVideoTracks()[0];
+    if (!track) return;
+    applyControls(track, controls)
+      .then(() => setCameraTrackInfo(trackControls(track)))
+      .catch(err => setError('Camera controls: ' + err.message));
+  }, []);
+
+  // Controls can't be handed back to the camera's automatics one by one, so reopen it
+  const resetCameraControls = useCallback(() => {
+    cameraSettingsRef.current = withDeviceSettings(cameraSettingsRef.current, { controls: {} });
+    setCameraSettings(cameraSettingsRef.current);
+    if (sourceRef.current === 'camera') initCamera();
   }, [initCamera]);
 
-  // Initialize worker and load model
+  // Video file source: same <video> element, driven by the play/pause/step controls
   useEffect(() => {
-const worker = new Worker(new URL('./onnxWorker.js', import.meta.url));
-    workerRef.current = worker;
+    const video = videoRef.current;
+    if (source !== 'video' || !videoFile || !video) return;
 
-    worker.onmessage = (e) => {
-      const { type } = e.data;
+    const url = URL.createObjectURL(videoFile);
+    const updateState = () => setVideoState({
+      playing: !video.paused && !video.ended,
+      currentTime: video.currentTime,
+      duration: video.duration
+    });
+    const events = ['loadedmetadata', 'play', 'pause', 'ended', 'timeupdate', 'seeked'];
+    events.forEach(name => video.addEventListener(name, updateState));
+    video.src = url;
+    video.load();
 
-      if (type === 'loaded') {
-        setStatus('ready');
-      } else if (type === 'inference') {
-        const data = new Float32Array(e.data.data);
-        const dims = e.data.dims;
-
-        const parsedBoxes = parseYOLOv5Output(data, dims);
-        const nmsBoxes = nonMaxSuppression(parsedBoxes);
-        setBoxes(nmsBoxes);
-        isProcessingRef.current = false;
-      } else if (type === 'error') {
-        setError('Inference error: ' + e.data.message);
-        setStatus('error');
-        isProcessingRef.current = false;
-      }
+    return () => {
+      events.forEach(name => video.removeEventListener(name, updateState));
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
     };
+  }, [source, videoFile]);
+
+  // Image file source: decode the selected file once and keep the bitmap for drawing
+  useEffect(() => {
+    const file = imageFiles[imageIndex];
+    if (source !== 'images' || !file) return;
 
-    // Load model from public folder
-    worker.postMessage({ type: 'loadModel', modelUrl: '/best.onnx' });
+    let cancelled = false;
+    createImageBitmap(file)
+      .then(bitmap => {
+        if (cancelled) {
+          bitmap.close();
+          return;
+        }
+        stillImageRef.current = bitmap;
+        stillImageIdRef.current = `image:${fileSelectionRef.current}:${imageIndex}`;
+        sourceEpochRef.current++;
+      })
+      .catch(err => setError(`Could not open ${file.name}: ${err.message}`));
 
     return () => {
-      worker.terminate();
+      cancelled = true;
+      stillImageRef.current?.close();
+      stillImageRef.current = null;
+      stillImageIdRef.current = null;
     };
+  }, [source, imageFiles, imageIndex]);
+
+  // Detections belong to the source they were computed on; parts still being tracked are
+  // finalised (and logged) under the source they came from before it changes
+  useEffect(() => {
+    sourceEpochRef.current++;
+    trackerRef.current.reset().forEach(finaliseTrack);
+    sourceRef.current = source;
+    tracksRef.current = [];
+    detectionsRef.current = [];
+    overlayDirtyRef.current = true;
+  }, [source, imageIndex, videoFile]);
+
+  // Id of the still frame on show, or null while frames are live
+  const currentStillId = useCallback(() => {
+    if (sourceRef.current === 'images') return stillImageIdRef.current;
+    const video = videoRef.current;
+    if (sourceRef.current === 'video' && video?.paused) return `video:${fileSelectionRef.current}:${video.currentTime}`;
+    return null;
   }, []);
 
-  const preprocess = useCallback((frame) => {
-    const offscreen = document.createElement('canvas');
-    offscreen.width = MODEL_INPUT_SIZE;
-    offscreen.height = MODEL_INPUT_SIZE;
-    const ctx = offscreen.getContext('2d');
-    ctx.drawImage(frame, 0, 0, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE);
-    const imgData = ctx.getImageData(0, 0, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE).data;
+  const handleFilesSelected = useCallback((files) => {
+    const images = files.filter(file => file.type.startsWith('image/'));
+    const video = files.find(file => file.type.startsWith('video/'));
+    if (images.length || video) {
+      fileSelectionRef.current++;
+      finalisedStillsRef.current.clear();
+    }
+    if (images.length) {
+      setImageFiles(images);
+      setImageIndex(0);
+      setSource('images');
+    } else if (video) {
+      setVideoFile(video);
+      setSource('video');
+    } else if (files.length) {
+      setError('Unsupported file type: drop images or a video');
+    }
+  }, []);
 
-    const data = new Float32Array(1 * 3 * MODEL_INPUT_SIZE * MODEL_INPUT_SIZE);
-    for (let i = 0; i < MODEL_INPUT_SIZE * MODEL_INPUT_SIZE; i++) {
-      data[i] = imgData[i * 4] / 255;
-      data[i + MODEL_INPUT_SIZE * MODEL_INPUT_SIZE] = imgData[i * 4 + 1] / 255;
-      data[i + 2 * MODEL_INPUT_SIZE * MODEL_INPUT_SIZE] = imgData[i * 4 + 2] / 255;
+  const togglePlay = useCallback(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (video.paused || video.ended) {
+      video.play().catch(e => setError('Playback error: ' + e.message));
+    } else {
+      video.pause();
     }
+  }, []);
 
-    return data.buffer;
-  }, []);
-
-  const parseYOLOv5Output = useCallback((data, dims) => {
-    const [, num_boxes, num_attrs] = dims;
-    const boxes = [];
-
-    for (let i = 0; i < num_boxes; i++) {
-      const offset = i * num_attrs;
-      const slice = data.subarray(offset, offset + num_attrs);
-
-      const x = slice[0];
-      const y = slice[1];
-      const w = slice[2];
-      const h = slice[3];
-      const conf = slice[4];
-      const classConfs = slice.subarray(5);
-
-      const classId = classConfs.indexOf(Math.max(...classConfs));
-      const classConf = classConfs[classId];
-      const totalConf = conf * classConf;
-
-      if (totalConf > CONFIDENCE_THRESHOLD) {
-        boxes.push({
-          x1: x - w / 2,
-          y1: y - h / 2,
-          x2: x + w / 2,
-          y2: y + h / 2,
-          width: w,
-          height: h,
-          label: classNames[classId] || 'unknown',
-          confidence: totalConf,
-          classId: classId
+  const stepVideo = useCallback((direction) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.pause();
+    video.currentTime = Math.min(Math.max(video.currentTime + direction * VIDEO_STEP_SECONDS, 0), video.duration || 0);
+  }, []);
+
+  // Initialize worker and load model
+  useEffect(() => {
+    const client = createInferenceClient({
+      onModelLoaded: (modelInfo) => {
+        const { outputs = [], metadata = {} } = modelInfo || {};
+        const names = parseClassNames(metadata.names) || DEFAULT_CLASS_NAMES;
+        classNamesRef.current = names;
+        setModelSummary({
+          layout: outputs[0] ? detectOutputLayout(outputs[0].dims, names.length) : null,
+          outputDims: outputs[0]?.dims || [],
+          classNames: names,
+          fromMetadata: names !== DEFAULT_CLASS_NAMES
         });
-      }
-    }
+        setError(null);
+        setStatus('ready');
+      },
+      onModelError: (err) => {
+        setError(err.message);
+        setStatus('error');
+      },
+      onRestart: (reason) => {
+        setError(`${reason} - restarting worker`);
+        setStatus('loading');
+      },
+      onClassifierLoaded: (info) => {
+        setClassifierInfo(info);
+        setClassifierError(null);
+      },
+      onClassifierError: (err) => {
+        setClassifierInfo(null);
+        setClassifierError(err.message);
+      },
+      onStatsChange: setFrameStats
+    });
+    inferenceRef.current = client;
 
-    return boxes;
+    return () => {
+      client.terminate();
+    };
   }, []);
 
-  const nonMaxSuppression = useCallback((boxes) => {
-    const sortedBoxes = [...boxes].sort((a, b) => b.confidence - a.confidence);
-    const selectedBoxes = [];
+  // Detector from the public folder by default; another URL reloads it in the same worker
+  useEffect(() => {
+    setStatus('loading');
+    inferenceRef.current.loadModel(modelSettings.detectorUrl);
+  }, [modelSettings.detectorUrl]);
 
-    while (sortedBoxes.length > 0) {
-      const currentBox = sortedBoxes.shift();
-      selectedBoxes.push(currentBox);
+  // The classifier is only kept in memory while the second stage is on
+  useEffect(() => {
+    setClassifierInfo(null);
+    setClassifierError(null);
+    inferenceRef.current.loadClassifier(modelSettings.classifierEnabled ? modelSettings.classifierUrl : null);
+  }, [modelSettings.classifierEnabled, modelSettings.classifierUrl]);
 
-      for (let i = sortedBoxes.length - 1; i >= 0; i--) {
-        if (sortedBoxes[i].classId === currentBox.classId) {
-          const iou = calculateIoU(currentBox, sortedBoxes[i]);
-          if (iou > NMS_THRESHOLD) {
-            sortedBoxes.splice(i, 1);
-          }
-        }
-      }
+  useEffect(() => {
+    const publisher = createLinePublisher({
+      onCommand: (command) => lineCommandRef.current(command),
+      onStatusChange: setIntegrationStatus
+    });
+    publisherRef.current = publisher;
+    return () => publisher.close();
+  }, []);
+
+  useEffect(() => {
+    publisherRef.current.configure(integrationSettings);
+  }, [integrationSettings]);
+
+  // The lot left open (e.g. by a reload) carries on
+  useEffect(() => {
+    loadLots()
+      .then(lots => {
+        const open = lots.find(lot => !lot.closedAt) || null;
+        if (open) alertedBreachesRef.current = new Set(lotSummary(open).breaches.map(({ verdict }) => verdict));
+        setOpenLot(open);
+        setClosedLots(lots.filter(lot => lot.closedAt));
+      })
+      .catch(err => setError('Could not load lots: ' + err.message));
+  }, []);
+
+  // Store the open lot after every part, and sound the alarm the first time a limit is exceeded
+  useEffect(() => {
+    if (!openLot || closedLotIdsRef.current.has(openLot.id)) return;
+    saveLot(openLot).catch(err => setError('Could not save lot: ' + err.message));
+
+    const newBreaches = lotSummary(openLot).breaches.filter(({ verdict }) => !alertedBreachesRef.current.has(verdict));
+    if (newBreaches.length) {
+      newBreaches.forEach(({ verdict }) => alertedBreachesRef.current.add(verdict));
+      setLotAlert({ lotNumber: openLot.lotNumber, breaches: newBreaches });
+      playAlarm();
     }
+  }, [openLot]);
+
+  useEffect(() => {
+    loadInspections()
+      .then(setInspectionRecords)
+      .catch(err => setError('Could not load inspection log: ' + err.message));
+  }, []);
 
-    return selectedBoxes;
+  // A confirmed track that has ended is a finished part: record it with its verdict
+  // With a counting line set, only parts that crossed it are counted (and go into the open lot
+  // and out to the line)
+  const finaliseTrack = useCallback((track) => {
+    const { pixelsPerMM, referenceSize, sizes, conveyorSettings, openLot } = liveStateRef.current;
+    const counted = !conveyorSettings.line || track.crossedLine;
+    const lotNumber = counted && openLot ? openLot.lotNumber : null;
+    logInspection({ track, pixelsPerMM, referenceSize, sizes, source: sourceRef.current, lotNumber })
+      .then(record => {
+        setInspectionRecords(prev => [record, ...prev]);
+        if (counted) {
+          setCountedParts(prev => [...prev, { verdict: record.verdict, time: Date.now() }]);
+          setOpenLot(prev => (prev ? { ...prev, parts: [...prev.parts, lotPart(record, prev)] } : prev));
+          // The line only hears about parts the station counts, so its totals match ours
+          return publisherRef.current.publish(verdictMessage(record));
+        }
+        return null;
+      })
+      .catch(err => setError('Could not save inspection: ' + err.message));
+  }, []);
+
+  const clearInspectionLog = useCallback(() => {
+    clearInspections()
+      .then(() => setInspectionRecords([]))
+      .catch(err => setError('Could not clear inspection log: ' + err.message));
   }, []);
 
-  const calculateIoU = useCallback((box1, box2) => {
-    const x1 = Math.max(box1.x1, box2.x1);
-    const y1 = Math.max(box1.y1, box2.y1);
-    const x2 = Math.min(box1.x2, box2.x2);
-    const y2 = Math.min(box1.y2, box2.y2);
+  const handleInferenceResult = useCallback((result, requestedAt, stillId) => {
+    const still = stillId !== null;
+    const names = classNamesRef.current;
 
-    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
-    const area1 = (box1.x2 - box1.x1) * (box1.y2 - box1.y1);
-    const area2 = (box2.x2 - box2.x1) * (box2.y2 - box2.y1);
-    const union = area1 + area2 - intersection;
+    // The worker decoded the boxes and found each ring's edges on the frame it was sent
+    const boxes = result.detections.map(box => applyClassification(box, liveStateRef.current.modelSettings, names));
+    detectionsRef.current = boxes;
+    const { roi, line } = liveStateRef.current.conveyorSettings;
+    const detections = boxes.filter(box => insideRoi(box, roi)).map(box => ({
+      ...box,
+      measurements: measureDetection(box, liveStateRef.current.plane, box.edges)
+    }));
+    // A still frame is all the evidence there will be, so its tracks confirm immediately
+    const { tracks, finished } = trackerRef.current.update(detections, still ? { minHits: 1 } : undefined);
+    tracksRef.current = tracks;
+    overlayDirtyRef.current = true;
+    tracks.forEach(track => {
+      if (track.missed === 0) updateLineCrossing(track, line);
+    });
 
-    return intersection / union;
+    // Keep a crop of each part from its most confident frame. Live results arrive a little
+    // after their frame, so the canvas is the closest frame we have to the inferred one.
+    tracks.forEach(track => {
+      if (track.missed === 0 && track.detection.confidence > (track.cropConfidence || 0)) {
+        track.crop = cropFromCanvas(canvasRef.current, track.detection);
+        track.cropConfidence = track.detection.confidence;
+      }
+    });
+
+    // A still already finalised is only being previewed again: its tracks are shown, then dropped
+    if (finalisedStillsRef.current.has(stillId)) {
+      trackerRef.current.reset();
+    } else {
+      finished.forEach(finaliseTrack);
+      // Each image is inspected once, so its parts are final straight away
+      if (sourceRef.current === 'images') {
+        trackerRef.current.reset().forEach(finaliseTrack);
+        finalisedStillsRef.current.add(stillId);
+      }
+    }
+
+    const { timings } = result;
+    schedulerRef.current.recordBusyTime(Number(timings.preprocess) + Number(timings.run) + Number(timings.analyse) + Number(timings.classify));
+    const perf = perfRef.current;
+    perf.inferences++;
+    perf.latency = performance.now() - requestedAt;
+    perf.timings = timings;
   }, []);
 
-  const calculatePhysicalSize = useCallback((box, ppm) => {
-    if (!ppm || isNaN(ppm)) return null;
-    
-    const widthPx = box.width * MODEL_INPUT_SIZE;
-    const heightPx = box.height * MODEL_INPUT_SIZE;
-    const diameterPx = (widthPx + heightPx) / 2;
-    return diameterPx / ppm;
+  // Smoothed OD/ID/CS of a track in mm ({ mean, std } each) plus ovality, rectified when a
+  // plane is calibrated. OD falls back to the box size when the contour couldn't be fitted.
+  const calculatePhysicalSize = useCallback((track, ppm) => {
+    return ringDimensions(track.measurements, ppm);
   }, []);
 
-  const handleBoxClick = useCallback((box) => {
+  const handleBoxClick = useCallback((track) => {
     if (calibrationMode) {
-      setSelectedReferenceBox(box);
+      setSelectedReferenceBox(track);
     }
   }, [calibrationMode]);
 
   const startCalibration = useCallback(() => {
     if (referenceSize > 0 && !isNaN(referenceSize)) {
       setCalibrationMode(true);
+      setReferenceSamples([]);
       setError(null);
     } else {
       setError('Please enter a valid reference size first');
     }
   }, [referenceSize]);
 
+  const calibrationFit = useMemo(
+    () => fitCalibration(referenceSamples, { minOutlierMM: calibrationToleranceMM }),
+    [referenceSamples, calibrationToleranceMM]
+  );
+
+  // Register the selected part as a reference of the entered size. References can come from
+  // different parts and different frames; they're combined in calibrationFit.
+  const addReference = useCallback(() => {
+    // Calibrate against the fitted outer contour when there is one, as that's what gets measured
+    const measurements = selectedReferenceBox?.measurements;
+    const diameter = measurements && (measurements.odPx || measurements.diameterPx);
+    if (!diameter || !(referenceSize > 0)) {
+      setError('Please select a reference object and ensure valid size');
+      return;
+    }
+    setReferenceSamples(prev => [...prev, {
+      id: crypto.randomUUID(),
+      trackId: selectedReferenceBox.id,
+      // The track object stays live, so this is its diameter averaged over recent frames
+      diameterPx: diameter.mean,
+      knownMM: referenceSize
+    }]);
+    setSelectedReferenceBox(null);
+    setError(null);
+  }, [selectedReferenceBox, referenceSize]);
+
+  const removeReference = useCallback((id) => {
+    setReferenceSamples(prev => prev.filter(sample => sample.id !== id));
+  }, []);
+
+  const saveCalibrationProfile = useCallback((fields) => {
+    const profile = createProfile({
+      name: profileName.trim() || `${camera?.label || source} ${new Date().toLocaleString()}`,
+      referenceSize,
+      camera,
+      ...fields
+    });
+    saveProfile(profile)
+      .then(() => {
+        setProfiles(prev => [profile, ...prev]);
+        setActiveProfileId(profile.id);
+        setProfileName('');
+      })
+      .catch(err => setError('Could not save calibration profile: ' + err.message));
+  }, [profileName, referenceSize, camera, source]);
+
   const completeCalibration = useCallback(() => {
-    if (selectedReferenceBox && referenceSize > 0 && !isNaN(referenceSize)) {
-      const widthPx = selectedReferenceBox.width * MODEL_INPUT_SIZE;
-      const heightPx = selectedReferenceBox.height * MODEL_INPUT_SIZE;
-      const diameterPx = (widthPx + heightPx) / 2;
-      const ppm = diameterPx / referenceSize;
+    if (!calibrationFit) {
+      setError('Please add at least one reference object');
+    } else if (calibrationFit.rmsErrorMM > calibrationToleranceMM) {
+      setError(`Calibration error ${calibrationFit.rmsErrorMM.toFixed(3)} mm is above the ${calibrationToleranceMM} mm tolerance`);
+    } else {
+      const ppm = calibrationFit.pixelsPerMM;
       
       setPixelsPerMM(ppm);
+      setPlane(null);
       setCalibrationComplete(true);
       setCalibrationMode(false);
       setError(null);
-    } else {
-      setError('Please select a reference object and ensure valid size');
+
+      saveCalibrationProfile({
+        pixelsPerMM: ppm,
+        fit: {
+          references: referenceSamples.map(({ diameterPx, knownMM }) => ({ diameterPx, knownMM })),
+          rmsErrorMM: calibrationFit.rmsErrorMM,
+          scaleUncertainty: calibrationFit.scaleUncertainty
+        }
+      });
     }
-  }, [selectedReferenceBox, referenceSize]);
+  }, [calibrationFit, calibrationToleranceMM, referenceSamples, saveCalibrationProfile]);
+
+  const startPlaneCalibration = useCallback(() => {
+    setPlanePoints([]);
+    setCalibrationMode(true);
+    setError(null);
+  }, []);
+
+  // Four clicked corners of a rectangle of known size give a homography onto the
+  // table plane, so sizes are right across the frame even with an angled camera
+  const completePlaneCalibration = useCallback(() => {
+    const newPlane = createPlane(planePoints, planeSize.widthMM, planeSize.heightMM);
+    if (!newPlane) {
+      setError('Those corners do not form a valid rectangle; pick them again');
+      return;
+    }
+    const canvas = canvasRef.current;
+    // Equivalent scale at the frame centre, for display and anything that needs px/mm
+    const ppm = planePixelsPerMM(newPlane, { x: canvas.width / 2, y: canvas.height / 2 });
+
+    setPlane(newPlane);
+    setPixelsPerMM(ppm);
+    setCalibrationComplete(true);
+    setCalibrationMode(false);
+    setPlanePoints([]);
+    setError(null);
+
+    saveCalibrationProfile({
+      pixelsPerMM: ppm,
+      plane: { corners: newPlane.corners, widthMM: newPlane.widthMM, heightMM: newPlane.heightMM }
+    });
+  }, [planePoints, planeSize, saveCalibrationProfile]);
 
   const resetCalibration = useCallback(() => {
     setCalibrationComplete(false);
     setPixelsPerMM(null);
     setSelectedReferenceBox(null);
+    setReferenceSamples([]);
+    setPlane(null);
+    setPlanePoints([]);
+    setCalibrationMode(false);
+    setActiveProfileId(null);
+  }, []);
+
+  const applyProfile = useCallback((profile) => {
+    if (!profile) {
+      resetCalibration();
+      return;
+    }
+    setPixelsPerMM(profile.pixelsPerMM);
+    setReferenceSize(profile.referenceSize);
+    setPlane(profile.plane ? createPlane(profile.plane.corners, profile.plane.widthMM, profile.plane.heightMM) : null);
+    setCalibrationComplete(true);
     setCalibrationMode(false);
+    setSelectedReferenceBox(null);
+    setActiveProfileId(profile.id);
+  }, [resetCalibration]);
+
+  useEffect(() => {
+    loadProfiles()
+      .then(setProfiles)
+      .catch(err => setError('Could not load calibration profiles: ' + err.message))
+      .finally(() => setProfilesLoaded(true));
+  }, []);
+
+  // When the camera (or its resolution) changes, switch to its newest profile, or drop a
+  // calibration that was made with another camera
+  useEffect(() => {
+    if (!profilesLoaded || !camera) return;
+    const match = findProfileForCamera(profiles, camera);
+    if (match) {
+      applyProfile(match);
+    } else if (activeProfileId) {
+      const active = profiles.find(profile => profile.id === activeProfileId);
+      if (active?.deviceId && active.deviceId !== camera.deviceId) resetCalibration();
+    }
+    // Only react to camera changes, not to profile edits or manual selection
+  }, [camera, profilesLoaded]);
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+
+  const removeProfile = useCallback((id) => {
+    deleteProfile(id)
+      .then(() => {
+        setProfiles(prev => prev.filter(profile => profile.id !== id));
+        if (id === activeProfileId) resetCalibration();
+      })
+      .catch(err => setError('Could not delete profile: ' + err.message));
+  }, [activeProfileId, resetCalibration]);
+
+  const handleProfileImport = useCallback((file) => {
+    importProfiles(file)
+      .then(count => {
+        setError(count ? null : 'No valid profiles in ' + file.name);
+        return loadProfiles();
+      })
+      .then(setProfiles)
+      .catch(err => setError('Could not import profiles: ' + err.message));
   }, []);
 
-  const toggleCamera = useCallback(() => {
-    setFacingMode(prev => prev === 'environment' ? 'user' : 'environment');
+  const changeMaxProfileAge = useCallback((days) => {
+    setMaxProfileAgeDays(days);
+    saveMaxAgeDays(days);
   }, []);
 
+  const sizes = useMemo(() => sizesFor(sizeCatalogue, customSizes), [sizeCatalogue, customSizes]);
+
+  const changeSizeCatalogue = useCallback((catalogue) => {
+    setSizeCatalogue(catalogue);
+    saveCatalogue(catalogue);
+  }, []);
+
+  const changeCustomSizes = useCallback((nextSizes) => {
+    setCustomSizes(nextSizes);
+    saveCustomSizes(nextSizes);
+  }, []);
+
+  const changeModelSettings = useCallback((settings) => {
+    setModelSettings(settings);
+    saveModelSettings(settings);
+  }, []);
+
+  const changeDetectionSettings = useCallback((settings) => {
+    setDetectionSettings(settings);
+    saveDetectionSettings(settings);
+  }, []);
+
+  // The tiling ROI is the rectangle spanned by two clicked corners
+  const addRoiPoint = useCallback((point) => {
+    if (!roiPoints.length) {
+      setRoiPoints([point]);
+      return;
+    }
+    const [first] = roiPoints;
+    const roi = {
+      x: Math.min(first.x, point.x),
+      y: Math.min(first.y, point.y),
+      width: Math.abs(point.x - first.x),
+      height: Math.abs(point.y - first.y)
+    };
+    setRoiPoints(null);
+    if (roi.width < 1 || roi.height < 1) return;
+    const settings = liveStateRef.current.detectionSettings;
+    changeDetectionSettings({ ...settings, tiling: { ...settings.tiling, roi, roiOnly: true } });
+  }, [roiPoints, changeDetectionSettings]);
+
+  const changeConveyorSettings = useCallback((settings) => {
+    setConveyorSettings(settings);
+    saveConveyorSettings(settings);
+  }, []);
+
+  const pickConveyor = useCallback((mode) => {
+    setConveyorPicking(mode);
+    setConveyorPoints([]);
+  }, []);
+
+  // ROI corners accumulate until Finish; the counting line is done after its second end
+  const addConveyorPoint = useCallback((point) => {
+    if (conveyorPicking === 'line' && conveyorPoints.length) {
+      changeConveyorSettings({ ...conveyorSettings, line: { a: conveyorPoints[0], b: point } });
+      pickConveyor(null);
+      return;
+    }
+    setConveyorPoints(prev => [...prev, point]);
+  }, [conveyorPicking, conveyorPoints, conveyorSettings, changeConveyorSettings, pickConveyor]);
+
+  const finishConveyorRoi = useCallback(() => {
+    if (conveyorPoints.length >= 3) {
+      changeConveyorSettings({ ...conveyorSettings, roi: conveyorPoints });
+    }
+    pickConveyor(null);
+  }, [conveyorPoints, conveyorSettings, changeConveyorSettings, pickConveyor]);
+
+  const changeIntegrationSettings = useCallback((settings) => {
+    setIntegrationSettings(settings);
+    saveIntegrationSettings(settings);
+  }, []);
+
+  // Commands from the line controller. Each is answered with a commandResult message.
+  const handleLineCommand = useCallback((command) => {
+    let result = { ok: true, message: null };
+    if (command.command === 'start') {
+      setInspectionRunning(true);
+    } else if (command.command === 'stop') {
+      setInspectionRunning(false);
+    } else if (command.command === 'recalibrate') {
+      resetCalibration();
+    } else if (command.command === 'switchProfile') {
+      // By id or by name
+      const profile = profiles.find(candidate => candidate.id === command.profile || candidate.name === command.profile);
+      if (profile) {
+        applyProfile(profile);
+      } else {
+        result = { ok: false, message: `Unknown profile "${command.profile}"` };
+      }
+    } else {
+      result = { ok: false, message: `Unknown command "${command.command}"` };
+    }
+
+    setLastLineCommand({ command: command.command, receivedAt: Date.now(), ...result });
+    publisherRef.current.publish({
+      type: 'commandResult',
+      command: command.command,
+      commandId: command.commandId ?? null,
+      timestamp: new Date().toISOString(),
+      ...result
+    }).catch(err => setError('Could not queue command result: ' + err.message));
+  }, [profiles, applyProfile, resetCalibration]);
+
+  useEffect(() => {
+    lineCommandRef.current = handleLineCommand;
+  }, [handleLineCommand]);
+
+  // Parts in view when inspection stops are finished with what was seen of them; a still
+  // frame is run again when it starts, but only as a preview, since its parts are already final
+  useEffect(() => {
+    if (inspectionRunning) {
+      sourceEpochRef.current++;
+      return;
+    }
+    const finished = trackerRef.current.reset();
+    finished.forEach(finaliseTrack);
+    // Images are marked on their first result; a paused video frame is marked here, once its
+    // parts have actually been finalised
+    const stillId = currentStillId();
+    if (stillId !== null && finished.length) finalisedStillsRef.current.add(stillId);
+    tracksRef.current = [];
+    overlayDirtyRef.current = true;
+  }, [inspectionRunning, finaliseTrack, currentStillId]);
+
+  const startLot = useCallback((fields) => {
+    // Starting the lot is the user gesture that lets the alarm play later
+    unlockAudio();
+    alertedBreachesRef.current = new Set();
+    setLotAlert(null);
+    setOpenLot(createLot({ ...fields, stationId: integrationSettings.enabled ? integrationSettings.stationId : null }));
+  }, [integrationSettings]);
+
+  // Opened as a page of its own, printed or saved as PDF from the browser
+  const showLotReport = useCallback((lot) => {
+    const html = new Blob([lotReportHtml(lot)], { type: 'text/html' });
+    const url = URL.createObjectURL(html);
+    if (!window.open(url, '_blank')) {
+      downloadBlob(html, `lot-${lot.lotNumber}-report.html`);
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }, []);
+
+  // The lot is taken off the line before it is stored, so a part finishing meanwhile can't be
+  // appended to it and saved over the closed record
+  const closeLot = useCallback(() => {
+    const closed = { ...openLot, closedAt: new Date().toISOString() };
+    closedLotIdsRef.current.add(closed.id);
+    setOpenLot(null);
+    setLotAlert(null);
+    saveLot(closed)
+      .then(() => {
+        setClosedLots(prev => [closed, ...prev]);
+        showLotReport(closed);
+      })
+      .catch(err => setError('Could not close lot: ' + err.message));
+  }, [openLot, showLotReport]);
+
+  const resetCounts = useCallback(() => {
+    setCountedParts([]);
+    setCountingStartedAt(Date.now());
+  }, []);
+
+  // Live frames pick new thresholds up on the next result; a still frame (image, paused
+  // video) is only inferred once, so run it again. Its parts are not finalised twice: an image's
+  // were finalised on its first result, and a paused video's open tracks are updated in place.
+  useEffect(() => {
+    if (currentStillId() === null) return;
+    sourceEpochRef.current++;
+    overlayDirtyRef.current = true;
+  }, [detectionSettings, modelSettings, conveyorSettings.roi, currentStillId]);
+
+  // Copy the frame as drawn, with each confirmed part's box and details as they are right now
+  const freezeFrame = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas.width || !canvas.height) return;
+    const image = document.createElement('canvas');
+    image.width = canvas.width;
+    image.height = canvas.height;
+    image.getContext('2d').drawImage(canvas, 0, 0);
+
+    const { pixelsPerMM, plane, sizes } = liveStateRef.current;
+    const parts = tracksRef.current.filter(track => track.confirmed).map(track => {
+      const dimensions = calculatePhysicalSize(track, pixelsPerMM);
+      const sizeMatch = matchSize(sizes, dimensions);
+      const { classification, detectorLabel, detectorConfidence } = track.detection;
+      return {
+        id: track.id,
+        box: { ...track.box },
+        label: track.label,
+        confidence: track.confidence,
+        verdict: combinedVerdict(track.label, sizeMatch),
+        dimensions,
+        sizeMatch,
+        classification,
+        detectorLabel,
+        detectorConfidence
+      };
+    });
+    setFrozenFrame({ image, width: image.width, height: image.height, parts, pixelsPerMM, plane, takenAt: Date.now() });
+  }, [calculatePhysicalSize]);
+
+  // Live results trail the canvas slightly, so boxes on moving parts may need nudging in the editor
+  const captureTrainingFrame = useCallback(async () => {
+    const canvas = canvasRef.current;
+    if (!canvas.width || !canvas.height) throw new Error('No frame to capture yet');
+    return captureFrame(canvas, detectionsRef.current);
+  }, []);
+
+  useEffect(() => {
+    schedulerRef.current.setTargetFps(targetFps);
+  }, [targetFps]);
+
+  // Overlay inputs that come from React state; the loop reads them from the ref
+  useEffect(() => {
+    liveStateRef.current = {
+      calibrationMode, selectedReferenceBox, pixelsPerMM, referenceSize,
+      calibrationMethod, plane, planePoints, planeSize, sizes, detectionSettings, roiPoints,
+      modelSettings, classifierInfo, conveyorSettings, conveyorPicking, conveyorPoints, inspectionRunning, openLot, lotAlert
+    };
+    overlayDirtyRef.current = true;
+  }, [
+    calibrationMode, selectedReferenceBox, pixelsPerMM, referenceSize, calibrationMethod, plane, planePoints, planeSize,
+    sizes, detectionSettings, roiPoints, modelSettings, classifierInfo, conveyorSettings, conveyorPicking, conveyorPoints,
+    inspectionRunning, openLot, lotAlert
+  ]);
+
+  // Mat outline plus a grid mapped back from the plane, so a bad corner pick is obvious
+  const drawPlane = useCallback((ctx, outlinePlane) => {
+    const { widthMM, heightMM, inverse } = outlinePlane;
+    const toImage = (x, y) => applyHomography(inverse, { x, y });
+    const line = (from, to) => {
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+    };
+
+    ctx.strokeStyle = 'rgba(0, 200, 255, 0.5)';
+    ctx.lineWidth = 1;
+    for (let x = PLANE_GRID_STEP_MM; x < widthMM; x += PLANE_GRID_STEP_MM) {
+      line(toImage(x, 0), toImage(x, heightMM));
+    }
+    for (let y = PLANE_GRID_STEP_MM; y < heightMM; y += PLANE_GRID_STEP_MM) {
+      line(toImage(0, y), toImage(widthMM, y));
+    }
+
+    ctx.strokeStyle = 'cyan';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    outlinePlane.corners.forEach((corner, i) => (i ? ctx.lineTo(corner.x, corner.y) : ctx.moveTo(corner.x, corner.y)));
+    ctx.closePath();
+    ctx.stroke();
+  }, []);
+
+  // Tile outlines (faint) and the tiling ROI, so overlap and coverage can be checked by eye
+  const drawTiling = useCallback((ctx, tiling, roiPoints) => {
+    if (tiling.enabled) {
+      ctx.strokeStyle = 'rgba(255, 165, 0, 0.35)';
+      ctx.lineWidth = 1;
+      tileRegions(ctx.canvas.width, ctx.canvas.height, tiling)
+        .filter(region => region.area)
+        .forEach(({ x, y, width, height }) => ctx.strokeRect(x, y, width, height));
+    }
+    if (tiling.roi && (tiling.roiOnly || roiPoints)) {
+      const { x, y, width, height } = tiling.roi;
+      ctx.strokeStyle = 'orange';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([8, 4]);
+      ctx.strokeRect(x, y, width, height);
+      ctx.setLineDash([]);
+    }
+    ctx.fillStyle = 'orange';
+    (roiPoints || []).forEach(point => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }, []);
+
+  // Everything outside the inspection ROI is dimmed; the counting line is drawn on top
+  const drawConveyor = useCallback((ctx, { roi, line }, picking, points) => {
+    const polygon = picking === 'roi' ? points : roi;
+    if (polygon && polygon.length >= 3) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+      ctx.beginPath();
+      ctx.rect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      polygon.forEach((point, i) => (i ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y)));
+      ctx.closePath();
+      ctx.fill('evenodd');
+    }
+    if (polygon && polygon.length >= 2) {
+      ctx.strokeStyle = 'deepskyblue';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      polygon.forEach((point, i) => (i ? ctx.lineTo(point.x, point.y) : ctx.moveTo(point.x, point.y)));
+      if (picking !== 'roi') ctx.closePath();
+      ctx.stroke();
+    }
+
+    if (line && picking !== 'line') {
+      ctx.strokeStyle = 'magenta';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(line.a.x, line.a.y);
+      ctx.lineTo(line.b.x, line.b.y);
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = picking === 'line' ? 'magenta' : 'deepskyblue';
+    (picking ? points : []).forEach(point => {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }, []);
+
+  const drawOverlay = useCallback((ctx) => {
+    const {
+      calibrationMode, selectedReferenceBox, pixelsPerMM, calibrationMethod, plane, planePoints, planeSize, sizes,
+      detectionSettings, roiPoints, conveyorSettings, conveyorPicking, conveyorPoints, lotAlert
+    } = liveStateRef.current;
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    drawConveyor(ctx, conveyorSettings, conveyorPicking, conveyorPoints);
+    // A lot limit alarm frames the whole view until it is acknowledged
+    if (lotAlert) {
+      ctx.strokeStyle = 'red';
+      ctx.lineWidth = 12;
+      ctx.strokeRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    }
+    drawTiling(ctx, detectionSettings.tiling, roiPoints);
+
+    const pickingPlane = calibrationMode && calibrationMethod === 'plane';
+    const previewPlane = pickingPlane && planePoints.length === 4
+      ? createPlane(planePoints, planeSize.widthMM, planeSize.heightMM)
+      : null;
+    if (previewPlane || plane) {
+      drawPlane(ctx, previewPlane || plane);
+    }
+    if (pickingPlane) {
+      ctx.fillStyle = 'cyan';
+      planePoints.forEach((point, i) => {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = '16px Arial';
+        ctx.fillText(String(i + 1), point.x + 8, point.y - 8);
+      });
+    }
+
+    // Draw confirmed tracks (already in frame pixels, canvas matches the frame)
+    tracksRef.current.forEach(track => {
+      if (!track.confirmed) return;
+      const { x1: x, y1: y, width, height } = track.box;
+
+      const dimensions = calculatePhysicalSize(track, pixelsPerMM);
+      const sizeMatch = matchSize(sizes, dimensions);
+
+      // Highlight selected reference box
+      if (calibrationMode && selectedReferenceBox === track) {
+        ctx.strokeStyle = 'yellow';
+        ctx.lineWidth = 4;
+      } else {
+        ctx.strokeStyle = combinedVerdict(track.label, sizeMatch) === 'OK' ? 'lime' : 'red';
+        ctx.lineWidth = 2;
+      }
+
+      // Dashed while the track coasts through frames where it wasn't detected
+      ctx.setLineDash(track.missed > 0 ? [6, 4] : []);
+      ctx.strokeRect(x, y, width, height);
+      ctx.setLineDash([]);
+      
+      // Add track id, voted label and smoothed size with its spread
+      let labelText = `#${track.id} ${track.label} (${(track.confidence * 100).toFixed(1)}%)`;
+      
+      if (track.label === 'OK') {
+        const { od, id, cs, ovality } = dimensions;
+        if (od) {
+          labelText += ` - Ø${od.mean.toFixed(2)}±${od.std.toFixed(2)}mm`;
+        }
+        if (id && cs) {
+          labelText += ` ID ${id.mean.toFixed(2)} CS ${cs.mean.toFixed(2)}mm`;
+        }
+        if (ovality) {
+          labelText += ` ov ${(ovality.mean * 100).toFixed(1)}%`;
+        }
+        if (sizeMatch) {
+          labelText += ` ${sizeMatch.size.code} ${sizeMatch.withinTolerance ? 'in tol' : 'OUT OF TOL'}`;
+        }
+      }
+
+      // Both stages' calls when the classifier saw this part
+      const { classification, detectorLabel, detectorConfidence } = track.detection;
+      if (classification) {
+        labelText += ` [det ${detectorLabel} ${(detectorConfidence * 100).toFixed(0)}%,` +
+          ` cls ${classification.label} ${(classification.confidence * 100).toFixed(0)}%]`;
+      }
+
+      ctx.font = '14px Arial';
+      ctx.fillStyle = 'white';
+      const textWidth = ctx.measureText(labelText).width;
+      ctx.fillRect(x - 2, y - 18, textWidth + 4, 18);
+      ctx.fillStyle = 'black';
+      ctx.fillText(labelText, x, y - 4);
+    });
+  }, [calculatePhysicalSize, drawPlane, drawTiling, drawConveyor]);
+
   // Drawing + inference loop
   useEffect(() => {
     if (status !== 'ready' || !videoRef.current) return;
@@ -252,73 +1176,112 @@ const worker = new Worker(new URL('./onnxWorker.js', import.meta.url));
     const video = videoRef.current;
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
+    const overlay = overlayCanvasRef.current;
+    const overlayCtx = overlay.getContext('2d');
+    const scheduler = schedulerRef.current;
+    const perf = perfRef.current;
 
     let animationFrameId;
-    let lastInferenceTime = 0;
-    const inferenceInterval = 200; // Run inference every 200ms
+    let lastReadout = performance.now();
+    let lastStillKey = null;
+
+    // Whatever the active source shows right now. Still frames (images, paused video)
+    // carry a key so they are inferred once rather than on every tick.
+    const currentFrame = () => {
+      if (sourceRef.current === 'images') {
+        const bitmap = stillImageRef.current;
+        return bitmap && {
+          element: bitmap,
+          width: bitmap.width,
+          height: bitmap.height,
+          stillKey: `image:${sourceEpochRef.current}`,
+          stillId: currentStillId()
+        };
+      }
+      if (video.readyState < 2) return null;
+      const still = sourceRef.current === 'video' && video.paused;
+      return {
+        element: video,
+        width: video.videoWidth,
+        height: video.videoHeight,
+        stillKey: still ? `video:${sourceEpochRef.current}:${video.currentTime}` : null,
+        stillId: currentStillId()
+      };
+    };
 
     const run = () => {
-      if (!video || video.readyState < 2) {
+      const frame = currentFrame();
+      if (!frame) {
         animationFrameId = requestAnimationFrame(run);
         return;
       }
 
-      if (canvas.width !== video.videoWidth || canvas.height !== video.videoHeight) {
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
+      if (canvas.width !== frame.width || canvas.height !== frame.height) {
+        canvas.width = overlay.width = frame.width;
+        canvas.height = overlay.height = frame.height;
+        overlayDirtyRef.current = true;
       }
 
-      // Draw video frame
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-
-      // Draw detection boxes
-      boxes.forEach(box => {
-        const x = (box.x1 / MODEL_INPUT_SIZE) * canvas.width;
-        const y = (box.y1 / MODEL_INPUT_SIZE) * canvas.height;
-        const width = ((box.x2 - box.x1) / MODEL_INPUT_SIZE) * canvas.width;
-        const height = ((box.y2 - box.y1) / MODEL_INPUT_SIZE) * canvas.height;
-
-        // Highlight selected reference box
-        if (calibrationMode && selectedReferenceBox === box) {
-          ctx.strokeStyle = 'yellow';
-          ctx.lineWidth = 4;
-        } else {
-          ctx.strokeStyle = box.label === 'OK' ? 'lime' : 'red';
-          ctx.lineWidth = 2;
-        }
+      // Draw source frame
+      ctx.drawImage(frame.element, 0, 0, canvas.width, canvas.height);
+      perf.frames++;
 
-        ctx.strokeRect(x, y, width, height);
-        
-        // Add label and size information
-        let labelText = `${box.label} (${(box.confidence * 100).toFixed(1)}%)`;
-        
-        if (box.label === 'OK' && pixelsPerMM && !isNaN(pixelsPerMM)) {
-          const sizeMM = calculatePhysicalSize(box, pixelsPerMM);
-          if (sizeMM) {
-            labelText += ` - Ø${sizeMM.toFixed(1)}mm`;
-          }
-        }
-
-        ctx.font = '14px Arial';
-        ctx.fillStyle = 'white';
-        const textWidth = ctx.measureText(labelText).width;
-        ctx.fillRect(x - 2, y - 18, textWidth + 4, 18);
-        ctx.fillStyle = 'black';
-        ctx.fillText(labelText, x, y - 4);
-      });
+      // The overlay only changes when a result or a setting does
+      if (overlayDirtyRef.current) {
+        overlayDirtyRef.current = false;
+        drawOverlay(overlayCtx);
+      }
 
-      // Run inference only if not already processing and enough time has passed
+      // Live frames: run when the worker queue has room and the adaptive interval has passed.
+      // Still frames: run once, as soon as nothing else is in flight.
       const now = performance.now();
-      if (!isProcessingRef.current && now - lastInferenceTime > inferenceInterval) {
-        isProcessingRef.current = true;
-        lastInferenceTime = now;
-        const tensorData = preprocess(video);
-        workerRef.current.postMessage({
-          type: 'infer',
-          tensorData,
-          dims: [1, 3, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE],
-        }, [tensorData]);
+      // Nothing runs while inspection is stopped.
+      const shouldInfer = liveStateRef.current.inspectionRunning && (frame.stillKey
+        ? frame.stillKey !== lastStillKey && framesInFlightRef.current === 0
+        : framesInFlightRef.current < MAX_FRAMES_IN_FLIGHT && scheduler.shouldRun(now));
+      if (shouldInfer) {
+        framesInFlightRef.current++;
+        lastStillKey = frame.stillKey;
+        const epoch = sourceEpochRef.current;
+        const { detectionSettings, modelSettings, classifierInfo } = liveStateRef.current;
+        const { tiling } = detectionSettings;
+        const regions = tiling.enabled ? tileRegions(frame.width, frame.height, tiling) : null;
+        // Thresholds are read per request so changes apply from the next frame on
+        const decode = { names: classNamesRef.current, settings: detectionSettings };
+        const cascade = modelSettings.classifierEnabled && classifierInfo && (frame.stillKey || !modelSettings.stillsOnly)
+          ? { cropMargin: modelSettings.cropMargin }
+          : null;
+        // Only the bitmap crosses to the worker; resizing and normalising happen there
+        createImageBitmap(frame.element)
+          .then(bitmap => inferenceRef.current.infer(bitmap, MODEL_INPUT_SIZE, {
+            regions: regions?.length ? regions : null,
+            decode,
+            cascade
+          }))
+          .then(result => {
+            if (!result.dropped && epoch === sourceEpochRef.current) {
+              handleInferenceResult(result, now, frame.stillId);
+            }
+          })
+          .catch(err => setError('Inference error: ' + err.message))
+          .finally(() => {
+            framesInFlightRef.current--;
+          });
+      }
+
+      // Publish the FPS/latency readout to React at a fixed, low rate
+      if (now - lastReadout >= PERF_READOUT_INTERVAL_MS) {
+        const seconds = (now - lastReadout) / 1000;
+        setPerfReadout({
+          displayFps: perf.frames / seconds,
+          inferenceFps: perf.inferences / seconds,
+          latency: perf.latency,
+          interval: scheduler.interval(),
+          timings: perf.timings
+        });
+        perf.frames = 0;
+        perf.inferences = 0;
+        lastReadout = now;
       }
 
       animationFrameId = requestAnimationFrame(run);
@@ -327,7 +1290,7 @@ const worker = new Worker(new URL('./onnxWorker.js', import.meta.url));
     animationFrameId = requestAnimationFrame(run);
 
     return () => cancelAnimationFrame(animationFrameId);
-  }, [status, boxes, calibrationMode, selectedReferenceBox, pixelsPerMM, preprocess, calculatePhysicalSize]);
+  }, [status, drawOverlay, handleInferenceResult, currentStillId]);
 
   return (
     <div style={{ padding: '20px', maxWidth: '800px', margin: '0 auto' }}>
@@ -337,88 +1300,337 @@ const worker = new Worker(new URL('./onnxWorker.js', import.meta.url));
         {!calibrationComplete ? (
           <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginBottom: '10px' }}>
             <h3>Calibration Required</h3>
-            <p>Place a reference object of known size in view and enter its diameter:</p>
-            
             <div style={{ marginBottom: '10px' }}>
-              <label>Reference diameter (mm): </label>
-              <input 
-                type="number" 
-                value={isNaN(referenceSize) ? '' : referenceSize}
-                onChange={(e) => {
-                  const value = parseFloat(e.target.value);
-                  setReferenceSize(isNaN(value) ? 0 : value);
-                }} 
-                step="0.1"
-                min="1"
-                style={{ marginLeft: '10px' }}
-              />
+              <label>Method: </label>
+              {[['references', 'Reference objects'], ['plane', 'Four-point plane']].map(([id, label]) => (
+                <label key={id} style={{ marginLeft: '10px' }}>
+                  <input
+                    type="radio"
+                    name="calibrationMethod"
+                    checked={calibrationMethod === id}
+                    onChange={() => {
+                      setCalibrationMethod(id);
+                      setCalibrationMode(false);
+                    }}
+                  />
+                  {' '}{label}
+                </label>
+              ))}
             </div>
-            
-            {!calibrationMode ? (
-              <button onClick={startCalibration}>Start Calibration</button>
+
+            {calibrationMethod === 'plane' ? (
+              <PlaneCalibration
+                widthMM={planeSize.widthMM}
+                heightMM={planeSize.heightMM}
+                onSizeChange={setPlaneSize}
+                picking={calibrationMode}
+                points={planePoints}
+                onStart={startPlaneCalibration}
+                onUndo={() => setPlanePoints(prev => prev.slice(0, -1))}
+                onComplete={completePlaneCalibration}
+              />
             ) : (
-              <div>
-                <p>Click on the reference object in the video feed</p>
-                {selectedReferenceBox && (
-                  <button onClick={completeCalibration}>Complete Calibration</button>
+              <>
+                <p>Place reference objects of known size in view. For each one, enter its diameter, click it and add it:</p>
+
+                <div style={{ marginBottom: '10px' }}>
+                  <label>Reference diameter (mm): </label>
+                  <input 
+                    type="number" 
+                    value={isNaN(referenceSize) ? '' : referenceSize}
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      setReferenceSize(isNaN(value) ? 0 : value);
+                    }} 
+                    step="0.1"
+                    min="1"
+                    style={{ marginLeft: '10px' }}
+                  />
+                </div>
+
+                {!calibrationMode ? (
+                  <button onClick={startCalibration}>Start Calibration</button>
+                ) : (
+                  <div>
+                    <p>Click on a reference object in the video feed</p>
+                    <CalibrationReferences
+                      fit={calibrationFit}
+                      toleranceMM={calibrationToleranceMM}
+                      onToleranceChange={setCalibrationToleranceMM}
+                      onRemove={removeReference}
+                    />
+                    <button onClick={addReference} disabled={!selectedReferenceBox}>
+                      Add Reference ({referenceSize} mm)
+                    </button>
+                    <button
+                      onClick={completeCalibration}
+                      disabled={!calibrationFit || calibrationFit.rmsErrorMM > calibrationToleranceMM}
+                      style={{ marginLeft: '5px' }}
+                    >
+                      Complete Calibration
+                    </button>
+                  </div>
                 )}
-              </div>
+              </>
             )}
+
+            <div style={{ marginTop: '10px' }}>
+              <label>Save as profile: </label>
+              <input
+                type="text"
+                value={profileName}
+                onChange={(e) => setProfileName(e.target.value)}
+                placeholder={camera?.label || 'Profile name'}
+                style={{ marginLeft: '10px' }}
+              />
+            </div>
           </div>
         ) : (
           <div style={{ background: '#e0ffe0', padding: '10px', borderRadius: '5px', marginBottom: '10px' }}>
-            <p>Calibration complete: {pixelsPerMM?.toFixed(2) || 'N/A'} pixels/mm</p>
+            <p>
+              Calibration complete: {pixelsPerMM?.toFixed(2) || 'N/A'} pixels/mm
+              {plane && ` at frame centre, measuring on a ${plane.widthMM}×${plane.heightMM} mm rectified plane`}
+            </p>
+            {activeProfile?.fit?.references && (
+              <p>
+                From {activeProfile.fit.references.length} references,
+                RMS error {activeProfile.fit.rmsErrorMM.toFixed(3)} mm
+                {activeProfile.fit.scaleUncertainty != null && `, scale ±${(activeProfile.fit.scaleUncertainty * 100).toFixed(2)}%`}
+              </p>
+            )}
             <button onClick={resetCalibration}>Recalibrate</button>
           </div>
         )}
 
-        <button onClick={toggleCamera} style={{ marginTop: '10px' }}>
-          Switch Camera ({facingMode === 'environment' ? 'Rear' : 'Front'})
-        </button>
+        <CalibrationProfiles
+          profiles={profiles}
+          activeProfileId={activeProfileId}
+          camera={camera}
+          maxAgeDays={maxProfileAgeDays}
+          onMaxAgeChange={changeMaxProfileAge}
+          onSelect={applyProfile}
+          onDelete={removeProfile}
+          onImport={handleProfileImport}
+        />
+
+        <SourceControls
+          source={source}
+          onSourceChange={setSource}
+          imageFiles={imageFiles}
+          imageIndex={imageIndex}
+          onImageIndexChange={setImageIndex}
+          onFilesSelected={handleFilesSelected}
+          videoFile={videoFile}
+          videoState={videoState}
+          onTogglePlay={togglePlay}
+          onStep={stepVideo}
+        />
+
+        {source === 'camera' && (
+          <CameraPanel
+            settings={cameraSettings}
+            onChange={setCameraSettings}
+            devices={cameraDevices}
+            camera={camera}
+            trackInfo={cameraTrackInfo}
+            onControlsChange={changeCameraControls}
+            onResetControls={resetCameraControls}
+          />
+        )}
       </div>
 
+      {lotAlert && (
+        <div style={{ background: 'red', color: 'white', padding: '10px', borderRadius: '5px', marginBottom: '10px', fontWeight: 'bold' }}>
+          Lot {lotAlert.lotNumber}: {lotAlert.breaches.map(({ verdict, count, limit }) => `${verdict} ${count} exceeds limit ${limit}`).join(', ')}
+          <button onClick={() => setLotAlert(null)} style={{ marginLeft: '10px' }}>Acknowledge</button>
+        </div>
+      )}
+
       <video
         ref={videoRef}
         style={{ display: 'none' }}
         playsInline
         muted
       />
-      <canvas
-        ref={canvasRef}
-        style={{ width: '100%', border: '1px solid #aaa', marginBottom: '10px' }}
-        onClick={(e) => {
-          if (!calibrationMode || !boxes.length) return;
-          
-          const rect = canvasRef.current.getBoundingClientRect();
-          const scaleX = canvasRef.current.width / rect.width;
-          const scaleY = canvasRef.current.height / rect.height;
-          
-          const x = (e.clientX - rect.left) * scaleX;
-          const y = (e.clientY - rect.top) * scaleY;
-          
-          // Find clicked box with tolerance
-          const clickedBox = boxes.find(box => {
-            const boxX = (box.x1 / MODEL_INPUT_SIZE) * canvasRef.current.width;
-            const boxY = (box.y1 / MODEL_INPUT_SIZE) * canvasRef.current.height;
-            const boxWidth = ((box.x2 - box.x1) / MODEL_INPUT_SIZE) * canvasRef.current.width;
-            const boxHeight = ((box.y2 - box.y1) / MODEL_INPUT_SIZE) * canvasRef.current.height;
-            
-            return x >= boxX - 10 && 
-                   x <= boxX + boxWidth + 10 && 
-                   y >= boxY - 10 && 
-                   y <= boxY + boxHeight + 10;
-          });
-          
-          if (clickedBox) {
-            handleBoxClick(clickedBox);
-          }
+      {frozenFrame && <FrameReview snapshot={frozenFrame} onClose={() => setFrozenFrame(null)} />}
+
+      <div
+        style={{ position: 'relative', border: '1px solid #aaa', marginBottom: '10px', display: frozenFrame ? 'none' : undefined }}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          handleFilesSelected([...e.dataTransfer.files]);
         }}
-      />
+      >
+        <canvas
+          ref={canvasRef}
+          style={{ width: '100%', display: 'block' }}
+        />
+        <canvas
+          ref={overlayCanvasRef}
+          style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}
+          onClick={(e) => {
+            if (!calibrationMode && !roiPoints && !conveyorPicking) return;
+            
+            const rect = overlayCanvasRef.current.getBoundingClientRect();
+            const scaleX = overlayCanvasRef.current.width / rect.width;
+            const scaleY = overlayCanvasRef.current.height / rect.height;
+            
+            const x = (e.clientX - rect.left) * scaleX;
+            const y = (e.clientY - rect.top) * scaleY;
+
+            if (roiPoints) {
+              addRoiPoint({ x, y });
+              return;
+            }
+
+            if (conveyorPicking) {
+              addConveyorPoint({ x, y });
+              return;
+            }
+
+            if (calibrationMethod === 'plane') {
+              setPlanePoints(prev => (prev.length < 4 ? [...prev, { x, y }] : prev));
+              return;
+            }
+
+            const tracks = tracksRef.current.filter(track => track.confirmed);
+            
+            // Find clicked box with tolerance
+            const clickedBox = tracks.find(({ box }) => {
+              return x >= box.x1 - 10 && 
+                     x <= box.x2 + 10 && 
+                     y >= box.y1 - 10 && 
+                     y <= box.y2 + 10;
+            });
+            
+            if (clickedBox) {
+              handleBoxClick(clickedBox);
+            }
+          }}
+        />
+      </div>
+
+      <div>
+        <label>Target inference FPS: </label>
+        <input
+          type="number"
+          value={targetFps}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (value > 0) setTargetFps(value);
+          }}
+          step="1"
+          min="1"
+          max="30"
+          style={{ marginLeft: '10px', width: '60px' }}
+        />
+      </div>
       
       <div style={{ marginTop: '10px' }}>
-        <div>Status: {status}</div>
+        <div>
+          Status: {status}{!inspectionRunning && ' (inspection stopped)'}
+          <button onClick={() => setInspectionRunning(prev => !prev)} style={{ marginLeft: '10px' }}>
+            {inspectionRunning ? 'Stop inspection' : 'Start inspection'}
+          </button>
+          <button onClick={freezeFrame} disabled={!!frozenFrame} style={{ marginLeft: '5px' }}>Freeze frame</button>
+        </div>
+        {modelSummary && (
+          <div>
+            Model: {modelSummary.layout || 'unknown'} layout
+            {modelSummary.outputDims.length > 0 && ` [${modelSummary.outputDims.join(', ')}]`}
+            , {modelSummary.classNames.length} classes
+            {modelSummary.fromMetadata ? ' (from metadata)' : ' (default list)'}
+          </div>
+        )}
+        {frameStats && (
+          <div>
+            Frames: {frameStats.completed} completed, {frameStats.dropped} dropped
+            {frameStats.timedOut > 0 && `, ${frameStats.timedOut} timed out`}
+            {frameStats.failed > 0 && `, ${frameStats.failed} failed`}
+            {frameStats.restarts > 0 && `, ${frameStats.restarts} worker restarts`}
+          </div>
+        )}
+        {perfReadout && (
+          <div>
+            Display: {perfReadout.displayFps.toFixed(0)} fps, inference: {perfReadout.inferenceFps.toFixed(1)} fps
+            (every {perfReadout.interval.toFixed(0)} ms), latency {perfReadout.latency.toFixed(0)} ms
+          </div>
+        )}
+        {perfReadout?.timings && (
+          <div>
+            Timings: preprocess {perfReadout.timings.preprocess} ms, run {perfReadout.timings.run} ms, transfer {perfReadout.timings.transfer} ms, edges {perfReadout.timings.analyse} ms
+            {perfReadout.timings.tiles > 1 && `, ${perfReadout.timings.tiles} tiles`}
+            {perfReadout.timings.crops > 0 && `, classify ${perfReadout.timings.classify} ms (${perfReadout.timings.crops} crops)`}
+          </div>
+        )}
         {error && <div style={{ color: 'red', marginTop: '10px' }}>{error}</div>}
       </div>
+
+      <LotPanel
+        openLot={openLot}
+        closedLots={closedLots}
+        classNames={modelSummary?.classNames || DEFAULT_CLASS_NAMES}
+        sizes={sizes}
+        onStart={startLot}
+        onClose={closeLot}
+        onReport={showLotReport}
+      />
+
+      <ConveyorPanel
+        settings={conveyorSettings}
+        onChange={changeConveyorSettings}
+        picking={conveyorPicking}
+        pointCount={conveyorPoints.length}
+        onPick={pickConveyor}
+        onFinishRoi={finishConveyorRoi}
+        parts={countedParts}
+        startedAt={countingStartedAt}
+        onResetCounts={resetCounts}
+      />
+
+      <IntegrationPanel
+        settings={integrationSettings}
+        onChange={changeIntegrationSettings}
+        status={integrationStatus}
+        lastCommand={lastLineCommand}
+      />
+
+      <ModelSettings
+        settings={modelSettings}
+        onChange={changeModelSettings}
+        classifier={classifierInfo}
+        classifierError={classifierError}
+      />
+
+      <DetectionSettings
+        settings={detectionSettings}
+        classNames={modelSummary?.classNames || DEFAULT_CLASS_NAMES}
+        onChange={changeDetectionSettings}
+        pickingRoi={!!roiPoints}
+        onPickRoi={() => setRoiPoints(roiPoints ? null : [])}
+      />
+
+      <SizeCatalogue
+        catalogue={sizeCatalogue}
+        onCatalogueChange={changeSizeCatalogue}
+        customSizes={customSizes}
+        onCustomSizesChange={changeCustomSizes}
+      />
+
+      <DatasetPanel
+        classNames={modelSummary?.classNames || DEFAULT_CLASS_NAMES}
+        onCapture={captureTrainingFrame}
+        onError={setError}
+      />
+
+      <SpcDashboard
+        records={inspectionRecords}
+        classNames={modelSummary?.classNames || DEFAULT_CLASS_NAMES}
+        sizes={sizes}
+      />
+
+      <InspectionLog records={inspectionRecords} onClear={clearInspectionLog} />
     </div>
   );
 }
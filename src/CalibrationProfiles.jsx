@@ -0,0 +1,98 @@
+import React from 'react';
+import { profileAgeDays, profilesToJson } from './calibrationStore';
+import { downloadBlob, fileTimestamp } from './download';
+
+function CalibrationProfiles({
+  profiles,
+  activeProfileId,
+  camera,
+  maxAgeDays,
+  onMaxAgeChange,
+  onSelect,
+  onDelete,
+  onImport
+}) {
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+  const activeAge = activeProfile ? profileAgeDays(activeProfile) : 0;
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginBottom: '10px' }}>
+      <h3>Calibration Profiles</h3>
+
+      {camera && (
+        <p style={{ margin: '5px 0' }}>
+          Camera: {camera.label || camera.deviceId || 'unknown'} ({camera.width}x{camera.height})
+        </p>
+      )}
+
+      <div style={{ marginBottom: '10px' }}>
+        <label>Active profile: </label>
+        <select
+          value={activeProfileId || ''}
+          onChange={(e) => onSelect(profiles.find(profile => profile.id === e.target.value) || null)}
+        >
+          <option value="">None</option>
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name} – {profile.pixelsPerMM.toFixed(2)} px/mm
+              {profile.resolution && ` @ ${profile.resolution.width}x${profile.resolution.height}`}
+            </option>
+          ))}
+        </select>
+        {activeProfile && (
+          <button onClick={() => onDelete(activeProfile.id)} style={{ marginLeft: '5px' }}>
+            Delete
+          </button>
+        )}
+      </div>
+
+      {activeProfile && activeAge > maxAgeDays && (
+        <div style={{ color: '#b36b00', marginBottom: '10px' }}>
+          ⚠ Profile "{activeProfile.name}" is {activeAge.toFixed(0)} days old (limit {maxAgeDays}). Please recalibrate.
+        </div>
+      )}
+      {activeProfile && camera?.deviceId && activeProfile.deviceId && activeProfile.deviceId !== camera.deviceId && (
+        <div style={{ color: '#b36b00', marginBottom: '10px' }}>
+          ⚠ Profile "{activeProfile.name}" was made with a different camera ({activeProfile.deviceLabel || activeProfile.deviceId}).
+        </div>
+      )}
+
+      <div>
+        <label>Warn after (days): </label>
+        <input
+          type="number"
+          value={maxAgeDays}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (value > 0) onMaxAgeChange(value);
+          }}
+          min="1"
+          step="1"
+          style={{ width: '60px' }}
+        />
+        <button
+          onClick={() => downloadBlob(
+            new Blob([profilesToJson(profiles)], { type: 'application/json' }),
+            `calibration-profiles-${fileTimestamp()}.json`
+          )}
+          disabled={!profiles.length}
+          style={{ marginLeft: '10px' }}
+        >
+          Export profiles
+        </button>
+        <label style={{ marginLeft: '10px' }}>
+          Import: <input
+            type="file"
+            accept="application/json,.json"
+            onChange={(e) => {
+              if (e.target.files[0]) onImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default CalibrationProfiles;
@@ -0,0 +1,65 @@
+import React from 'react';
+
+function CalibrationReferences({ fit, toleranceMM, onToleranceChange, onRemove }) {
+  const withinTolerance = fit && fit.rmsErrorMM <= toleranceMM;
+
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      {fit && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '10px' }}>
+          <thead>
+            <tr style={{ textAlign: 'left' }}>
+              <th>Part</th>
+              <th>Known (mm)</th>
+              <th>Measured (px)</th>
+              <th>Error (mm)</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {fit.residuals.map(({ sample, errorMM, outlier }) => (
+              <tr key={sample.id} style={{ borderTop: '1px solid #ccc', color: outlier ? '#999' : 'inherit' }}>
+                <td>#{sample.trackId}</td>
+                <td>{sample.knownMM.toFixed(2)}</td>
+                <td>{sample.diameterPx.toFixed(1)}</td>
+                <td>
+                  {errorMM >= 0 ? '+' : ''}{errorMM.toFixed(3)}
+                  {outlier && ' (rejected)'}
+                </td>
+                <td><button onClick={() => onRemove(sample.id)}>Remove</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ marginBottom: '5px' }}>
+        <label>Max residual error (mm): </label>
+        <input
+          type="number"
+          value={toleranceMM}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            if (value > 0) onToleranceChange(value);
+          }}
+          step="0.01"
+          min="0.01"
+          style={{ marginLeft: '10px', width: '70px' }}
+        />
+      </div>
+
+      {fit && (
+        <div style={{ color: withinTolerance ? 'green' : 'red' }}>
+          Fit: {fit.pixelsPerMM.toFixed(3)} px/mm from {fit.inliers} of {fit.residuals.length} references,
+          RMS error {fit.rmsErrorMM.toFixed(3)} mm (max {fit.maxErrorMM.toFixed(3)} mm),
+          {fit.scaleUncertainty != null
+            ? ` scale ±${(fit.scaleUncertainty * 100).toFixed(2)}% (95%)`
+            : ' confidence unknown with a single reference'}
+          {!withinTolerance && ' – above tolerance, add or remove references'}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CalibrationReferences;
@@ -0,0 +1,130 @@
+import React from 'react';
+import { RESOLUTIONS, MODE_CONTROLS, RANGE_CONTROLS, cameraKey, deviceSettings, withDeviceSettings } from './cameraControls';
+
+const DEFAULT_CAMERAS = [
+  { facingMode: 'environment', label: 'Default rear camera' },
+  { facingMode: 'user', label: 'Default front camera' }
+];
+
+const formatValue = (value) => (Number.isInteger(value) ? value : value.toFixed(2));
+
+function RangeInput({ label, capability, value, disabled, onChange }) {
+  return (
+    <label style={{ display: 'block', marginBottom: '5px', color: disabled ? '#999' : undefined }}>
+      {label}:
+      <input
+        type="range"
+        min={capability.min}
+        max={capability.max}
+        step={capability.step || (capability.max - capability.min) / 100}
+        value={value ?? capability.min}
+        disabled={disabled}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        style={{ width: '200px', marginLeft: '5px', verticalAlign: 'middle' }}
+      />
+      {value != null && ` ${formatValue(value)}`}
+    </label>
+  );
+}
+
+// Device and resolution reopen the camera; the controls are applied to the running track
+function CameraPanel({ settings, onChange, devices, camera, trackInfo, onControlsChange, onResetControls }) {
+  const { resolution, controls } = deviceSettings(settings);
+  const capabilities = trackInfo?.capabilities || {};
+  const values = { ...trackInfo?.values, ...controls };
+  const resolutions = RESOLUTIONS.filter(option => {
+    const [width, height] = option.split('x').map(Number);
+    return !trackInfo?.maxWidth || (width <= trackInfo.maxWidth && height <= trackInfo.maxHeight);
+  });
+  const setControl = (key, value) => onControlsChange({ ...controls, [key]: value });
+  const modeControls = MODE_CONTROLS.filter(({ mode, value }) => capabilities[mode] || capabilities[value]);
+  const rangeControls = RANGE_CONTROLS.filter(({ value }) => capabilities[value]);
+
+  const selectCamera = (key) => {
+    const preset = DEFAULT_CAMERAS.find(({ facingMode }) => `default-${facingMode}` === key);
+    onChange(preset ? { ...settings, deviceId: null, facingMode: preset.facingMode } : { ...settings, deviceId: key });
+  };
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginBottom: '10px' }}>
+      <h3>Camera</h3>
+
+      <div style={{ marginBottom: '10px' }}>
+        <label>Device: </label>
+        <select value={cameraKey(settings)} onChange={(e) => selectCamera(e.target.value)}>
+          {DEFAULT_CAMERAS.map(({ facingMode, label }) => (
+            <option key={facingMode} value={`default-${facingMode}`}>{label}</option>
+          ))}
+          {devices.map(device => <option key={device.deviceId} value={device.deviceId}>{device.label}</option>)}
+          {settings.deviceId && !devices.some(device => device.deviceId === settings.deviceId) && (
+            <option value={settings.deviceId}>Saved camera (not connected)</option>
+          )}
+        </select>
+        <label style={{ marginLeft: '10px' }}>Resolution: </label>
+        <select value={resolution} onChange={(e) => onChange(withDeviceSettings(settings, { resolution: e.target.value }))}>
+          {(resolutions.includes(resolution) ? resolutions : [resolution, ...resolutions]).map(option => (
+            <option key={option} value={option}>{option.replace('x', ' × ')}</option>
+          ))}
+        </select>
+        {camera && (
+          <span style={{ marginLeft: '10px', fontSize: '14px', color: '#666' }}>
+            running at {camera.width} × {camera.height}
+          </span>
+        )}
+      </div>
+
+      {modeControls.map(({ label, mode, value, valueLabel }) => (
+        <div key={mode} style={{ marginBottom: '5px' }}>
+          {capabilities[mode] && (
+            <label style={{ marginRight: '10px' }}>
+              {label} mode:
+              <select
+                value={values[mode] || ''}
+                onChange={(e) => setControl(mode, e.target.value)}
+                style={{ marginLeft: '5px' }}
+              >
+                {capabilities[mode].map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            </label>
+          )}
+          {capabilities[value] && (
+            <RangeInput
+              label={valueLabel}
+              capability={capabilities[value]}
+              value={values[value]}
+              disabled={capabilities[mode] && values[mode] !== 'manual'}
+              onChange={(next) => onControlsChange({ ...controls, [mode]: 'manual', [value]: next })}
+            />
+          )}
+        </div>
+      ))}
+      {rangeControls.map(({ label, value }) => (
+        <RangeInput
+          key={value}
+          label={label}
+          capability={capabilities[value]}
+          value={values[value]}
+          onChange={(next) => setControl(value, next)}
+        />
+      ))}
+      {capabilities.torch !== undefined && (
+        <label style={{ display: 'block', marginBottom: '5px' }}>
+          <input
+            type="checkbox"
+            checked={!!values.torch}
+            onChange={(e) => setControl('torch', e.target.checked)}
+          />
+          {' '}Torch
+        </label>
+      )}
+
+      {trackInfo && !modeControls.length && !rangeControls.length && capabilities.torch === undefined ? (
+        <div style={{ fontSize: '14px', color: '#666' }}>This camera has no adjustable controls in this browser.</div>
+      ) : (
+        <button onClick={onResetControls} disabled={!Object.keys(controls).length}>Reset controls</button>
+      )}
+    </div>
+  );
+}
+
+export default CameraPanel;
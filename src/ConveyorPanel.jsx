@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react';
+import { countSummary } from './conveyor';
+
+const PICK_HINTS = {
+  roi: 'Click the corners of the inspection area, then Finish',
+  line: 'Click both ends of the counting line'
+};
+// Throughput is over a trailing window, so it has to fall while no parts arrive
+const REFRESH_INTERVAL_MS = 1000;
+
+function ConveyorPanel({ settings, onChange, picking, pointCount, onPick, onFinishRoi, parts, startedAt, onResetCounts }) {
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    const timer = setInterval(() => setTick(tick => tick + 1), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const summary = countSummary(parts, startedAt);
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginTop: '20px' }}>
+      <h3>Conveyor Counting</h3>
+
+      <div style={{ marginBottom: '5px' }}>
+        {picking === 'roi' ? (
+          <>
+            <button onClick={onFinishRoi} disabled={pointCount < 3}>Finish ROI ({pointCount} corners)</button>
+            <button onClick={() => onPick(null)} style={{ marginLeft: '5px' }}>Cancel</button>
+          </>
+        ) : (
+          <button onClick={() => onPick('roi')} disabled={!!picking}>Draw inspection ROI</button>
+        )}
+        <button
+          onClick={() => onChange({ ...settings, roi: null })}
+          disabled={!settings.roi || !!picking}
+          style={{ marginLeft: '5px' }}
+        >
+          Clear ROI
+        </button>
+        <span style={{ marginLeft: '15px' }} />
+        {picking === 'line' ? (
+          <button onClick={() => onPick(null)}>Cancel</button>
+        ) : (
+          <button onClick={() => onPick('line')} disabled={!!picking}>Draw counting line</button>
+        )}
+        <button
+          onClick={() => onChange({ ...settings, line: null })}
+          disabled={!settings.line || !!picking}
+          style={{ marginLeft: '5px' }}
+        >
+          Clear line
+        </button>
+      </div>
+      <div style={{ marginBottom: '10px', fontSize: '14px', color: '#666' }}>
+        {picking
+          ? PICK_HINTS[picking]
+          : `${settings.roi ? 'Rings inside the ROI are inspected' : 'The whole frame is inspected'}; ` +
+            `${settings.line ? 'parts are counted as they cross the line' : 'every finished part is counted'}.`}
+      </div>
+
+      <div style={{ marginBottom: '5px' }}>
+        <strong>{summary.total}</strong> parts
+        {summary.partsPerMinute !== null && `, ${summary.partsPerMinute.toFixed(1)} parts/min`}
+        {summary.rejectRate !== null && `, reject rate ${(summary.rejectRate * 100).toFixed(1)}% (${summary.rejects})`}
+        <button onClick={onResetCounts} disabled={!summary.total} style={{ marginLeft: '10px' }}>Reset counts</button>
+      </div>
+      {summary.byVerdict.length > 0 && (
+        <table style={{ borderCollapse: 'collapse', fontSize: '14px' }}>
+          <tbody>
+            {summary.byVerdict.map(([verdict, count]) => (
+              <tr key={verdict} style={{ borderTop: '1px solid #ccc' }}>
+                <td style={{ paddingRight: '15px', color: verdict === 'OK' ? 'green' : 'red' }}>{verdict}</td>
+                <td style={{ paddingRight: '15px', textAlign: 'right' }}>{count}</td>
+                <td style={{ textAlign: 'right' }}>{(count / summary.total * 100).toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default ConveyorPanel;
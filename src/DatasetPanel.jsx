@@ -0,0 +1,122 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import LabelEditor from './LabelEditor';
+import { saveCapture, loadCaptures, deleteCapture, clearCaptures, capturesToDataset } from './trainingData';
+import { downloadBlob, fileTimestamp } from './download';
+
+// Captured frames for retraining: capture, correct the boxes, export an Ultralytics dataset
+function DatasetPanel({ classNames, onCapture, onError }) {
+  const [captures, setCaptures] = useState([]);
+  // Capture open in the editor; new captures are only stored once saved
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    loadCaptures()
+      .then(setCaptures)
+      .catch(err => onError('Could not load captures: ' + err.message));
+  }, [onError]);
+
+  const labelCounts = useMemo(() => {
+    const counts = {};
+    captures.forEach(capture => capture.boxes.forEach(box => {
+      counts[box.label] = (counts[box.label] || 0) + 1;
+    }));
+    return Object.entries(counts).sort((a, b) => a[0].localeCompare(b[0]));
+  }, [captures]);
+
+  const capture = () => {
+    onCapture()
+      .then(setEditing)
+      .catch(err => onError('Could not capture frame: ' + err.message));
+  };
+
+  const save = (updated) => {
+    saveCapture(updated)
+      .then(() => {
+        setCaptures(prev => (prev.some(existing => existing.id === updated.id)
+          ? prev.map(existing => (existing.id === updated.id ? updated : existing))
+          : [updated, ...prev]));
+        setEditing(null);
+      })
+      .catch(err => onError('Could not save capture: ' + err.message));
+  };
+
+  const remove = (id) => {
+    deleteCapture(id)
+      .then(() => setCaptures(prev => prev.filter(existing => existing.id !== id)))
+      .catch(err => onError('Could not delete capture: ' + err.message));
+  };
+
+  const clearAll = () => {
+    if (!window.confirm(`Delete all ${captures.length} captures?`)) return;
+    clearCaptures()
+      .then(() => setCaptures([]))
+      .catch(err => onError('Could not clear captures: ' + err.message));
+  };
+
+  const exportDataset = () => {
+    capturesToDataset(captures, classNames)
+      .then(zip => downloadBlob(zip, `oring-dataset-${fileTimestamp()}.zip`))
+      .catch(err => onError('Could not export dataset: ' + err.message));
+  };
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginTop: '20px' }}>
+      <h3>Training Data</h3>
+
+      {editing ? (
+        <LabelEditor
+          key={editing.id}
+          capture={editing}
+          classNames={classNames}
+          onSave={save}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <>
+          <div style={{ marginBottom: '10px' }}>
+            <button onClick={capture}>Capture frame</button>
+            <button onClick={exportDataset} disabled={!captures.length} style={{ marginLeft: '5px' }}>
+              Export dataset (zip)
+            </button>
+            <button onClick={clearAll} disabled={!captures.length} style={{ marginLeft: '5px' }}>
+              Clear
+            </button>
+          </div>
+
+          <div style={{ marginBottom: '10px', fontSize: '14px' }}>
+            {captures.length} captures
+            {labelCounts.length > 0 && `: ${labelCounts.map(([label, count]) => `${count} ${label}`).join(', ')}`}
+          </div>
+
+          {captures.length > 0 && (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+              <thead>
+                <tr style={{ textAlign: 'left' }}>
+                  <th>Captured</th>
+                  <th>Size</th>
+                  <th>Boxes</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {captures.map(item => (
+                  <tr key={item.id} style={{ borderTop: '1px solid #ccc' }}>
+                    <td>{new Date(item.createdAt).toLocaleString()}</td>
+                    <td>{item.width}×{item.height}</td>
+                    <td>{item.boxes.length}{item.edited ? ' (corrected)' : ''}</td>
+                    <td>
+                      <button onClick={() => setEditing(item)}>Edit</button>
+                      <button onClick={() => remove(item.id)} style={{ marginLeft: '5px' }}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DatasetPanel;
@@ -0,0 +1,158 @@
+import React from 'react';
+
+function ThresholdSlider({ label, value, onChange }) {
+  return (
+    <label style={{ marginRight: '15px' }}>
+      {label}:
+      <input
+        type="range"
+        min="0.05"
+        max="0.95"
+        step="0.01"
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        style={{ margin: '0 5px', verticalAlign: 'middle' }}
+      />
+      {value.toFixed(2)}
+    </label>
+  );
+}
+
+function DetectionSettings({ settings, classNames, onChange, pickingRoi, onPickRoi }) {
+  const { confidence, nms, classAgnostic, classOverrides, tiling } = settings;
+  const setTiling = (changes) => onChange({ ...settings, tiling: { ...tiling, ...changes } });
+
+  const setOverride = (label, override) => {
+    const nextOverrides = { ...classOverrides };
+    if (override) {
+      nextOverrides[label] = override;
+    } else {
+      delete nextOverrides[label];
+    }
+    onChange({ ...settings, classOverrides: nextOverrides });
+  };
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginTop: '20px' }}>
+      <h3>Detection Thresholds</h3>
+      <div style={{ marginBottom: '10px' }}>
+        <ThresholdSlider label="Confidence" value={confidence} onChange={(value) => onChange({ ...settings, confidence: value })} />
+        <ThresholdSlider label="NMS IoU" value={nms} onChange={(value) => onChange({ ...settings, nms: value })} />
+        <label>
+          <input
+            type="checkbox"
+            checked={classAgnostic}
+            onChange={(e) => onChange({ ...settings, classAgnostic: e.target.checked })}
+          />
+          Class-agnostic NMS
+        </label>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left' }}>
+            <th>Class</th>
+            <th>Override</th>
+            <th>Thresholds</th>
+          </tr>
+        </thead>
+        <tbody>
+          {classNames.map(label => {
+            const override = classOverrides[label];
+            return (
+              <tr key={label} style={{ borderTop: '1px solid #ccc' }}>
+                <td>{label}</td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={!!override}
+                    onChange={(e) => setOverride(label, e.target.checked ? { confidence, nms } : null)}
+                  />
+                </td>
+                <td>
+                  {override ? (
+                    <>
+                      <ThresholdSlider
+                        label="Confidence"
+                        value={override.confidence}
+                        onChange={(value) => setOverride(label, { ...override, confidence: value })}
+                      />
+                      <ThresholdSlider
+                        label="NMS IoU"
+                        value={override.nms}
+                        onChange={(value) => setOverride(label, { ...override, nms: value })}
+                      />
+                    </>
+                  ) : (
+                    <span style={{ color: '#666' }}>global</span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <h4 style={{ marginBottom: '5px' }}>Tiled inference</h4>
+      <div style={{ marginBottom: '5px' }}>
+        <label style={{ marginRight: '15px' }}>
+          <input type="checkbox" checked={tiling.enabled} onChange={(e) => setTiling({ enabled: e.target.checked })} />
+          Split the frame into tiles (for small rings)
+        </label>
+        <label style={{ marginRight: '15px' }}>
+          Tile size (px):
+          <input
+            type="number"
+            value={tiling.tileSize}
+            onChange={(e) => {
+              const value = parseInt(e.target.value, 10);
+              if (value >= 160) setTiling({ tileSize: value });
+            }}
+            step="32"
+            min="160"
+            style={{ width: '70px', marginLeft: '5px' }}
+          />
+        </label>
+        <label>
+          Overlap:
+          <input
+            type="range"
+            min="0"
+            max="0.5"
+            step="0.05"
+            value={tiling.overlap}
+            onChange={(e) => setTiling({ overlap: parseFloat(e.target.value) })}
+            style={{ margin: '0 5px', verticalAlign: 'middle' }}
+          />
+          {Math.round(tiling.overlap * 100)}%
+        </label>
+      </div>
+      <div>
+        <label style={{ marginRight: '15px' }}>
+          <input
+            type="checkbox"
+            checked={tiling.includeFullFrame}
+            onChange={(e) => setTiling({ includeFullFrame: e.target.checked })}
+          />
+          Also run the whole area once (rings larger than the overlap)
+        </label>
+        <label style={{ marginRight: '10px' }}>
+          <input
+            type="checkbox"
+            checked={tiling.roiOnly}
+            disabled={!tiling.roi}
+            onChange={(e) => setTiling({ roiOnly: e.target.checked })}
+          />
+          ROI only
+        </label>
+        <button onClick={onPickRoi}>{pickingRoi ? 'Cancel' : 'Pick ROI'}</button>
+        <button onClick={() => setTiling({ roi: null, roiOnly: false })} disabled={!tiling.roi} style={{ marginLeft: '5px' }}>
+          Clear ROI
+        </button>
+        {pickingRoi && <span style={{ marginLeft: '10px' }}>Click two opposite corners of the ROI</span>}
+      </div>
+    </div>
+  );
+}
+
+export default DetectionSettings;
@@ -0,0 +1,224 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { pointDistanceMM } from './measurement';
+
+const MAX_ZOOM = 20;
+const WHEEL_ZOOM_STEP = 1.2;
+const CLICK_SLOP = 4; // Screen pixels a click may wander before it counts as a drag
+
+const boxArea = (box) => box.width * box.height;
+
+// Hover details for one held part
+function PartDetails({ part }) {
+  const { od, id, cs, ovality } = part.dimensions;
+  return (
+    <div>
+      <div><strong>#{part.id}</strong> <span style={{ color: part.verdict === 'OK' ? 'green' : 'red' }}>{part.verdict}</span></div>
+      <div>{part.label} {(part.confidence * 100).toFixed(1)}%</div>
+      {part.classification && (
+        <div>
+          {`det ${part.detectorLabel} ${(part.detectorConfidence * 100).toFixed(0)}%, ` +
+            `cls ${part.classification.label} ${(part.classification.confidence * 100).toFixed(0)}%`}
+        </div>
+      )}
+      {od && <div>Ø {od.mean.toFixed(2)} ± {od.std.toFixed(2)} mm</div>}
+      {id && cs && <div>ID {id.mean.toFixed(2)} / CS {cs.mean.toFixed(2)} mm</div>}
+      {ovality && <div>Ovality {(ovality.mean * 100).toFixed(1)}%</div>}
+      {part.sizeMatch && (
+        <div>{part.sizeMatch.size.code} {part.sizeMatch.withinTolerance ? 'in tolerance' : 'OUT OF TOLERANCE'}</div>
+      )}
+      <div style={{ color: '#666' }}>{Math.round(part.box.width)} × {Math.round(part.box.height)} px</div>
+    </div>
+  );
+}
+
+// A held frame with its parts: wheel zooms about the pointer, dragging pans, hovering a box
+// shows its details, and the ruler measures between two clicked points with the calibration
+// that was active when the frame was frozen
+function FrameReview({ snapshot, onClose }) {
+  const { image, width, height, parts, pixelsPerMM, plane, takenAt } = snapshot;
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  const [tool, setTool] = useState('inspect');
+  const [ruler, setRuler] = useState([]);
+  const [hover, setHover] = useState(null);
+
+  // The visible part of the frame always stays on the frame
+  const clampView = ({ zoom, x, y }) => {
+    const z = Math.min(Math.max(zoom, 1), MAX_ZOOM);
+    return {
+      zoom: z,
+      x: Math.min(Math.max(x, 0), width - width / z),
+      y: Math.min(Math.max(y, 0), height - height / z)
+    };
+  };
+
+  // Canvas pixels (before zoom) and frame pixels under the pointer
+  const pointerPosition = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / rect.width;
+    const cx = (e.clientX - rect.left) * scale;
+    const cy = (e.clientY - rect.top) * scale;
+    return { cx, cy, x: view.x + cx / view.zoom, y: view.y + cy / view.zoom, scale, offsetX: e.clientX - rect.left, offsetY: e.clientY - rect.top };
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = width;
+    canvas.height = height;
+  }, [width, height]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    // Line widths and text in screen pixels, whatever the zoom and display size
+    const px = canvas.width / (canvas.getBoundingClientRect().width || canvas.width) / view.zoom;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(view.zoom, 0, 0, view.zoom, -view.x * view.zoom, -view.y * view.zoom);
+    ctx.imageSmoothingEnabled = view.zoom < 4;
+    ctx.drawImage(image, 0, 0);
+
+    parts.forEach(part => {
+      const { x1, y1, width: w, height: h } = part.box;
+      ctx.strokeStyle = part.verdict === 'OK' ? 'lime' : 'red';
+      ctx.lineWidth = (hover?.part === part ? 4 : 2) * px;
+      ctx.strokeRect(x1, y1, w, h);
+      ctx.font = `${14 * px}px Arial`;
+      const text = `#${part.id} ${part.verdict}`;
+      ctx.fillStyle = 'white';
+      ctx.fillRect(x1 - 2 * px, y1 - 18 * px, ctx.measureText(text).width + 4 * px, 18 * px);
+      ctx.fillStyle = 'black';
+      ctx.fillText(text, x1, y1 - 4 * px);
+    });
+
+    if (ruler.length) {
+      ctx.strokeStyle = 'yellow';
+      ctx.fillStyle = 'yellow';
+      ctx.lineWidth = 2 * px;
+      ruler.forEach(point => {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 4 * px, 0, Math.PI * 2);
+        ctx.fill();
+      });
+      if (ruler.length === 2) {
+        const [a, b] = ruler;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+      }
+    }
+  }, [image, parts, view, ruler, hover]);
+
+  // React's wheel listener is passive, and the page must not scroll while zooming
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const { cx, cy, x, y } = pointerPosition(e);
+      const zoom = Math.min(Math.max(view.zoom * (e.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP), 1), MAX_ZOOM);
+      // Keep the frame point under the pointer where it is
+      setView(clampView({ zoom, x: x - cx / zoom, y: y - cy / zoom }));
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  });
+
+  const handlePointerDown = (e) => {
+    canvasRef.current.setPointerCapture(e.pointerId);
+    dragRef.current = { startX: e.clientX, startY: e.clientY, view, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    const position = pointerPosition(e);
+    if (drag) {
+      const dx = e.clientX - drag.startX;
+      const dy = e.clientY - drag.startY;
+      if (Math.hypot(dx, dy) > CLICK_SLOP) drag.moved = true;
+      if (drag.moved) {
+        const { zoom, x, y } = drag.view;
+        setView(clampView({ zoom, x: x - dx * position.scale / zoom, y: y - dy * position.scale / zoom }));
+      }
+      return;
+    }
+
+    // Smallest box under the pointer, so a box inside another can still be picked
+    const part = parts
+      .filter(({ box }) => position.x >= box.x1 && position.x <= box.x2 && position.y >= box.y1 && position.y <= box.y2)
+      .sort((a, b) => boxArea(a.box) - boxArea(b.box))[0];
+    setHover(part ? { part, left: position.offsetX, top: position.offsetY } : null);
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || tool !== 'ruler') return;
+    const { x, y } = pointerPosition(e);
+    setRuler(prev => (prev.length === 1 ? [prev[0], { x, y }] : [{ x, y }]));
+  };
+
+  const rulerPx = ruler.length === 2 ? Math.hypot(ruler[1].x - ruler[0].x, ruler[1].y - ruler[0].y) : null;
+  const rulerMM = ruler.length === 2 ? pointDistanceMM(ruler[0], ruler[1], plane, pixelsPerMM) : null;
+
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <div style={{ marginBottom: '5px' }}>
+        <strong>Frozen</strong> {new Date(takenAt).toLocaleTimeString()}, {parts.length} parts
+        <label style={{ marginLeft: '15px' }}>
+          <input type="radio" checked={tool === 'inspect'} onChange={() => setTool('inspect')} /> Inspect
+        </label>
+        <label style={{ marginLeft: '10px' }}>
+          <input type="radio" checked={tool === 'ruler'} onChange={() => setTool('ruler')} /> Ruler
+        </label>
+        <span style={{ marginLeft: '15px' }}>{view.zoom.toFixed(1)}×</span>
+        <button onClick={() => setView({ zoom: 1, x: 0, y: 0 })} disabled={view.zoom === 1} style={{ marginLeft: '5px' }}>Fit</button>
+        <button onClick={onClose} style={{ marginLeft: '15px' }}>Back to live</button>
+      </div>
+      {tool === 'ruler' && (
+        <div style={{ marginBottom: '5px', fontSize: '14px' }}>
+          {ruler.length < 2 && `Click the ${ruler.length ? 'second' : 'first'} point.`}
+          {rulerPx !== null && (
+            <>
+              <strong>{rulerMM !== null ? `${rulerMM.toFixed(3)} mm` : 'uncalibrated'}</strong>
+              {` (${rulerPx.toFixed(1)} px${plane ? ', on the calibrated plane' : ''})`}
+            </>
+          )}
+          <button onClick={() => setRuler([])} disabled={!ruler.length} style={{ marginLeft: '10px' }}>Clear</button>
+        </div>
+      )}
+      <div style={{ position: 'relative', border: '1px solid #aaa' }}>
+        <canvas
+          ref={canvasRef}
+          style={{ width: '100%', display: 'block', cursor: tool === 'ruler' ? 'crosshair' : 'grab', touchAction: 'none' }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={() => setHover(null)}
+        />
+        {hover && (
+          <div
+            style={{
+              position: 'absolute',
+              left: hover.left + 15,
+              top: hover.top + 15,
+              background: 'rgba(255, 255, 255, 0.95)',
+              border: '1px solid #aaa',
+              padding: '5px',
+              fontSize: '13px',
+              pointerEvents: 'none',
+              whiteSpace: 'nowrap'
+            }}
+          >
+            <PartDetails part={hover.part} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default FrameReview;
@@ -0,0 +1,134 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { inspectionsToCsv, inspectionsToZip } from './inspectionRecords';
+import { downloadBlob, fileTimestamp } from './download';
+
+const MAX_ROWS = 200;
+
+// Local calendar day as YYYY-MM-DD, the format <input type="date"> uses
+const localDay = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+function CropThumbnail({ blob }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!blob) return;
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  return url ? <img src={url} alt="" style={{ height: '40px' }} /> : null;
+}
+
+function InspectionLog({ records, onClear }) {
+  const [verdictFilter, setVerdictFilter] = useState('all');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  const verdicts = useMemo(() => [...new Set(records.map(record => record.verdict))].sort(), [records]);
+
+  const filtered = useMemo(() => records.filter(record => {
+    if (verdictFilter !== 'all' && record.verdict !== verdictFilter) return false;
+    // Timestamps are UTC; the date pickers are in local time
+    const day = localDay(record.timestamp);
+    if (fromDate && day < fromDate) return false;
+    if (toDate && day > toDate) return false;
+    return true;
+  }), [records, verdictFilter, fromDate, toDate]);
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginTop: '20px' }}>
+      <h3>Inspection Log</h3>
+
+      <div style={{ marginBottom: '10px' }}>
+        <label>Verdict: </label>
+        <select value={verdictFilter} onChange={(e) => setVerdictFilter(e.target.value)}>
+          <option value="all">All</option>
+          {verdicts.map(verdict => <option key={verdict} value={verdict}>{verdict}</option>)}
+        </select>
+        <label style={{ marginLeft: '10px' }}>From: </label>
+        <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+        <label style={{ marginLeft: '10px' }}>To: </label>
+        <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        <button
+          onClick={() => downloadBlob(new Blob([inspectionsToCsv(filtered)], { type: 'text/csv' }), `inspections-${fileTimestamp()}.csv`)}
+          disabled={!filtered.length}
+        >
+          Export CSV
+        </button>
+        <button
+          onClick={() => inspectionsToZip(filtered).then(zip => downloadBlob(zip, `inspections-${fileTimestamp()}.zip`))}
+          disabled={!filtered.length}
+          style={{ marginLeft: '5px' }}
+        >
+          Export JSON + crops (zip)
+        </button>
+        <button
+          onClick={() => {
+            if (window.confirm('Delete all inspection records?')) onClear();
+          }}
+          disabled={!records.length}
+          style={{ marginLeft: '5px' }}
+        >
+          Clear log
+        </button>
+      </div>
+
+      <div>
+        {filtered.length} of {records.length} records
+        {filtered.length > MAX_ROWS && ` (showing latest ${MAX_ROWS})`}
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left' }}>
+            <th>Time</th>
+            <th>Part</th>
+            <th>Verdict</th>
+            <th>Confidence</th>
+            <th>Size</th>
+            <th>Ø (mm)</th>
+            <th>ID / CS (mm)</th>
+            <th>Ovality</th>
+            <th>Calibration</th>
+            <th>Crop</th>
+          </tr>
+        </thead>
+        <tbody>
+          {filtered.slice(0, MAX_ROWS).map(record => (
+            <tr key={record.id} style={{ borderTop: '1px solid #ccc' }}>
+              <td>{new Date(record.timestamp).toLocaleString()}</td>
+              <td>#{record.trackId}</td>
+              <td style={{ color: record.verdict === 'OK' ? 'green' : 'red' }}>{record.verdict}</td>
+              <td>{(record.confidence * 100).toFixed(1)}%</td>
+              <td style={{ color: record.sizeInTolerance === false ? 'red' : 'inherit' }}>
+                {record.sizeCode || '–'}
+              </td>
+              <td>
+                {record.diameterMM != null
+                  ? `${record.diameterMM.toFixed(2)} ± ${record.diameterSpreadMM.toFixed(2)}`
+                  : '–'}
+              </td>
+              <td>
+                {record.innerDiameterMM != null
+                  ? `${record.innerDiameterMM.toFixed(2)} / ${record.crossSectionMM.toFixed(2)}`
+                  : '–'}
+              </td>
+              <td>{record.ovality != null ? `${(record.ovality * 100).toFixed(1)}%` : '–'}</td>
+              <td>{record.calibration ? `${record.calibration.pixelsPerMM.toFixed(2)} px/mm` : 'none'}</td>
+              <td><CropThumbnail blob={record.crop} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default InspectionLog;
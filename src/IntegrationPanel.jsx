@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import { TRANSPORTS } from './lineIntegration';
+
+// Endpoint fields are edited as a draft and applied together, so typing doesn't reconnect
+function IntegrationPanel({ settings, onChange, status, lastCommand }) {
+  const [draft, setDraft] = useState(settings);
+
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  const urlKey = draft.transport === 'webhook' ? 'webhookUrl' : 'websocketUrl';
+  const dirty = ['transport', 'websocketUrl', 'webhookUrl', 'stationId'].some(key => draft[key] !== settings[key]);
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginTop: '20px' }}>
+      <h3>Line Integration</h3>
+      <div style={{ marginBottom: '5px' }}>
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+          />
+          Publish verdicts and accept commands
+        </label>
+      </div>
+
+      <div style={{ marginBottom: '5px' }}>
+        {TRANSPORTS.map(([id, label]) => (
+          <label key={id} style={{ marginRight: '10px' }}>
+            <input
+              type="radio"
+              name="integrationTransport"
+              checked={draft.transport === id}
+              onChange={() => setDraft({ ...draft, transport: id })}
+            />
+            {' '}{label}
+          </label>
+        ))}
+      </div>
+      <div style={{ marginBottom: '5px' }}>
+        <label>
+          URL:
+          <input
+            type="text"
+            value={draft[urlKey]}
+            onChange={(e) => setDraft({ ...draft, [urlKey]: e.target.value })}
+            style={{ width: '250px', margin: '0 15px 0 5px' }}
+          />
+        </label>
+        <label>
+          Station ID:
+          <input
+            type="text"
+            value={draft.stationId}
+            onChange={(e) => setDraft({ ...draft, stationId: e.target.value })}
+            style={{ width: '100px', margin: '0 5px' }}
+          />
+        </label>
+        <button onClick={() => onChange({ ...draft, enabled: settings.enabled })} disabled={!dirty || !draft[urlKey].trim()}>
+          Apply
+        </button>
+      </div>
+
+      {settings.enabled && status && (
+        <div style={{ fontSize: '14px' }}>
+          {settings.transport === 'websocket' && (
+            <span style={{ color: status.connected ? 'green' : 'red', marginRight: '10px' }}>
+              {status.connected ? 'Connected' : 'Not connected'}
+            </span>
+          )}
+          {status.queued} queued
+          {status.lastSentAt && `, last sent ${new Date(status.lastSentAt).toLocaleTimeString()}`}
+          {status.lastError && <div style={{ color: 'red' }}>{status.lastError} (retrying)</div>}
+        </div>
+      )}
+      {lastCommand && (
+        <div style={{ fontSize: '14px', marginTop: '5px' }}>
+          Last command: {lastCommand.command} at {new Date(lastCommand.receivedAt).toLocaleTimeString()}
+          {lastCommand.ok ? '' : ` - failed: ${lastCommand.message}`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default IntegrationPanel;
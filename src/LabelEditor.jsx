@@ -0,0 +1,206 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MIN_BOX_SIZE, normaliseBox } from './trainingData';
+
+const HANDLE_SIZE = 8; // Screen pixels, so corners stay grabbable on large frames
+const CORNERS = [['x1', 'y1'], ['x2', 'y1'], ['x1', 'y2'], ['x2', 'y2']];
+
+const boxArea = (box) => Math.abs((box.x2 - box.x1) * (box.y2 - box.y1));
+
+// Box editor for one captured frame: drag on empty space to draw, drag a box to move it,
+// drag a corner of the selected box to resize it, Delete removes the selected box
+function LabelEditor({ capture, classNames, onSave, onCancel }) {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [boxes, setBoxes] = useState(capture.boxes);
+  const [selected, setSelected] = useState(null);
+  const [newLabel, setNewLabel] = useState(classNames[0]);
+
+  useEffect(() => {
+    let bitmap = null;
+    let cancelled = false;
+    createImageBitmap(capture.image).then(decoded => {
+      if (cancelled) {
+        decoded.close();
+        return;
+      }
+      bitmap = decoded;
+      setImage(decoded);
+    });
+    return () => {
+      cancelled = true;
+      bitmap?.close();
+    };
+  }, [capture]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!image || !canvas) return;
+    canvas.width = capture.width;
+    canvas.height = capture.height;
+    const ctx = canvas.getContext('2d');
+    const handle = HANDLE_SIZE * canvas.width / (canvas.getBoundingClientRect().width || canvas.width);
+    ctx.drawImage(image, 0, 0);
+
+    boxes.forEach((box, i) => {
+      const { x1, y1, x2, y2 } = normaliseBox(box, capture.width, capture.height);
+      ctx.strokeStyle = i === selected ? 'yellow' : 'lime';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+
+      ctx.font = '14px Arial';
+      const textWidth = ctx.measureText(box.label).width;
+      ctx.fillStyle = 'white';
+      ctx.fillRect(x1 - 2, y1 - 18, textWidth + 4, 18);
+      ctx.fillStyle = 'black';
+      ctx.fillText(box.label, x1, y1 - 4);
+
+      if (i === selected) {
+        ctx.fillStyle = 'yellow';
+        CORNERS.forEach(([kx, ky]) => ctx.fillRect(box[kx] - handle / 2, box[ky] - handle / 2, handle, handle));
+      }
+    });
+  }, [image, boxes, selected, capture]);
+
+  const toFrame = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / rect.width;
+    return {
+      x: (e.clientX - rect.left) * scale,
+      y: (e.clientY - rect.top) * (canvas.height / rect.height),
+      handle: HANDLE_SIZE * scale
+    };
+  };
+
+  const updateBox = (index, change) => {
+    setBoxes(prev => prev.map((box, i) => (i === index ? { ...box, ...change(box) } : box)));
+  };
+
+  const handlePointerDown = (e) => {
+    canvasRef.current.setPointerCapture(e.pointerId);
+    const { x, y, handle } = toFrame(e);
+
+    const selectedBox = boxes[selected];
+    const corner = selectedBox && CORNERS.find(([kx, ky]) =>
+      Math.abs(x - selectedBox[kx]) <= handle && Math.abs(y - selectedBox[ky]) <= handle
+    );
+    if (corner) {
+      dragRef.current = { mode: 'resize', index: selected, corner };
+      return;
+    }
+
+    // Smallest box under the pointer, so a box inside another can still be picked
+    const hit = boxes
+      .map((box, index) => ({ box: normaliseBox(box, capture.width, capture.height), index }))
+      .filter(({ box }) => x >= box.x1 && x <= box.x2 && y >= box.y1 && y <= box.y2)
+      .sort((a, b) => boxArea(a.box) - boxArea(b.box))[0];
+    if (hit) {
+      setSelected(hit.index);
+      dragRef.current = { mode: 'move', index: hit.index, start: { x, y }, original: boxes[hit.index] };
+      return;
+    }
+
+    setBoxes(prev => [...prev, { label: newLabel, x1: x, y1: y, x2: x, y2: y }]);
+    setSelected(boxes.length);
+    dragRef.current = { mode: 'draw', index: boxes.length };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const { x, y } = toFrame(e);
+
+    if (drag.mode === 'move') {
+      const { original, start } = drag;
+      // Keep the whole box on the image
+      const dx = Math.min(Math.max(x - start.x, -Math.min(original.x1, original.x2)), capture.width - Math.max(original.x1, original.x2));
+      const dy = Math.min(Math.max(y - start.y, -Math.min(original.y1, original.y2)), capture.height - Math.max(original.y1, original.y2));
+      updateBox(drag.index, () => ({ x1: original.x1 + dx, y1: original.y1 + dy, x2: original.x2 + dx, y2: original.y2 + dy }));
+    } else if (drag.mode === 'resize') {
+      const [kx, ky] = drag.corner;
+      updateBox(drag.index, () => ({ [kx]: x, [ky]: y }));
+    } else {
+      updateBox(drag.index, () => ({ x2: x, y2: y }));
+    }
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    dragRef.current = null;
+
+    const box = normaliseBox(boxes[drag.index], capture.width, capture.height);
+    if (box.x2 - box.x1 < MIN_BOX_SIZE || box.y2 - box.y1 < MIN_BOX_SIZE) {
+      // A click on empty space deselects rather than leaving a speck behind
+      if (drag.mode === 'draw') {
+        setBoxes(prev => prev.filter((_, i) => i !== drag.index));
+        setSelected(null);
+        return;
+      }
+    }
+    updateBox(drag.index, () => box);
+  };
+
+  const deleteSelected = () => {
+    if (selected === null) return;
+    setBoxes(prev => prev.filter((_, i) => i !== selected));
+    setSelected(null);
+  };
+
+  const selectedBox = boxes[selected];
+  const labelOptions = (current) => (current && !classNames.includes(current) ? [...classNames, current] : classNames);
+
+  return (
+    <div>
+      <div style={{ marginBottom: '5px', fontSize: '14px' }}>
+        Drag on empty space to add a box, drag a box to move it, drag the corners of the selected box to resize it.
+      </div>
+      <div style={{ marginBottom: '5px' }}>
+        <label style={{ marginRight: '15px' }}>
+          New boxes:
+          <select value={newLabel} onChange={(e) => setNewLabel(e.target.value)} style={{ marginLeft: '5px' }}>
+            {classNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label style={{ marginRight: '15px' }}>
+          Selected box:
+          <select
+            value={selectedBox?.label || ''}
+            disabled={!selectedBox}
+            onChange={(e) => updateBox(selected, () => ({ label: e.target.value }))}
+            style={{ marginLeft: '5px' }}
+          >
+            {!selectedBox && <option value="">none</option>}
+            {labelOptions(selectedBox?.label).map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <button onClick={deleteSelected} disabled={!selectedBox}>Delete box</button>
+      </div>
+
+      <canvas
+        ref={canvasRef}
+        tabIndex={0}
+        style={{ width: '100%', display: 'block', border: '1px solid #aaa', cursor: 'crosshair', touchAction: 'none' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onKeyDown={(e) => {
+          if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            deleteSelected();
+          }
+        }}
+      />
+
+      <div style={{ marginTop: '5px' }}>
+        {boxes.length} boxes
+        <button onClick={() => onSave({ ...capture, boxes, edited: true })} style={{ marginLeft: '10px' }}>Save</button>
+        <button onClick={onCancel} style={{ marginLeft: '5px' }}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+export default LabelEditor;
@@ -0,0 +1,182 @@
+import React, { useMemo, useState } from 'react';
+import { lotSummary, WRONG_SIZE, UNSIZED } from './lots';
+import { OUT_OF_TOLERANCE } from './sizeStandards';
+
+const MAX_HISTORY_ROWS = 20;
+
+// Start form: lot number, expected size from the active catalogue, quantity and limits
+function LotForm({ classNames, sizes, onStart }) {
+  const [lotNumber, setLotNumber] = useState('');
+  const [sizeCode, setSizeCode] = useState('');
+  const [quantity, setQuantity] = useState('');
+  const [limits, setLimits] = useState({});
+
+  const limitClasses = useMemo(
+    () => [...classNames.filter(name => name !== 'OK'), OUT_OF_TOLERANCE, WRONG_SIZE, UNSIZED],
+    [classNames]
+  );
+  const expectedSize = sizes.find(size => size.code === sizeCode.trim()) || null;
+  const valid = lotNumber.trim() && parseInt(quantity, 10) > 0 && (!sizeCode.trim() || expectedSize);
+
+  const start = () => {
+    const defectLimits = {};
+    Object.entries(limits).forEach(([verdict, value]) => {
+      const limit = parseInt(value, 10);
+      if (limit >= 0) defectLimits[verdict] = limit;
+    });
+    onStart({ lotNumber: lotNumber.trim(), expectedSize, quantity: parseInt(quantity, 10), defectLimits });
+  };
+
+  return (
+    <div>
+      <div style={{ marginBottom: '5px' }}>
+        <label style={{ marginRight: '15px' }}>
+          Lot number:
+          <input
+            type="text"
+            value={lotNumber}
+            onChange={(e) => setLotNumber(e.target.value)}
+            style={{ width: '120px', marginLeft: '5px' }}
+          />
+        </label>
+        <label style={{ marginRight: '15px' }}>
+          Expected size:
+          <input
+            type="text"
+            list="lot-size-codes"
+            value={sizeCode}
+            placeholder="any"
+            onChange={(e) => setSizeCode(e.target.value)}
+            style={{ width: '140px', marginLeft: '5px', color: sizeCode.trim() && !expectedSize ? 'red' : undefined }}
+          />
+          <datalist id="lot-size-codes">
+            {sizes.map(size => <option key={size.code} value={size.code} />)}
+          </datalist>
+        </label>
+        <label>
+          Quantity:
+          <input
+            type="number"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            min="1"
+            style={{ width: '70px', marginLeft: '5px' }}
+          />
+        </label>
+      </div>
+      {expectedSize && (
+        <div style={{ fontSize: '14px', marginBottom: '5px' }}>
+          ID {expectedSize.idMM.toFixed(2)} × CS {expectedSize.csMM.toFixed(2)} mm; good rings of another catalogue size count as {WRONG_SIZE}, ones that couldn't be sized as {UNSIZED}
+        </div>
+      )}
+      <div style={{ marginBottom: '5px', fontSize: '14px' }}>
+        Max allowed (blank = no limit):
+        {limitClasses.map(verdict => (
+          <label key={verdict} style={{ marginLeft: '10px', whiteSpace: 'nowrap' }}>
+            {verdict}
+            <input
+              type="number"
+              value={limits[verdict] ?? ''}
+              onChange={(e) => setLimits({ ...limits, [verdict]: e.target.value })}
+              min="0"
+              style={{ width: '50px', marginLeft: '3px' }}
+            />
+          </label>
+        ))}
+      </div>
+      <button onClick={start} disabled={!valid}>Start lot</button>
+    </div>
+  );
+}
+
+function LotPanel({ openLot, closedLots, classNames, sizes, onStart, onClose, onReport }) {
+  const summary = openLot && lotSummary(openLot);
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginTop: '20px' }}>
+      <h3>Lot Inspection</h3>
+
+      {openLot ? (
+        <div>
+          <div style={{ marginBottom: '5px' }}>
+            Lot <strong>{openLot.lotNumber}</strong>
+            {openLot.expectedSize && `, expecting ${openLot.expectedSize.code}`}
+            {`: ${summary.inspected} / ${openLot.quantity} inspected`}
+            <span style={{ marginLeft: '10px', fontWeight: 'bold', color: summary.accepted ? 'green' : 'red' }}>
+              {summary.accepted ? 'within limits' : 'LIMIT EXCEEDED'}
+            </span>
+          </div>
+          {summary.complete && (
+            <div style={{ marginBottom: '5px', color: 'green' }}>Quantity reached; close the lot for its report.</div>
+          )}
+          <table style={{ borderCollapse: 'collapse', fontSize: '14px', marginBottom: '10px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left' }}>
+                <th style={{ paddingRight: '15px' }}>Verdict</th>
+                <th style={{ paddingRight: '15px' }}>Count</th>
+                <th>Allowed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...new Set([...Object.keys(summary.counts), ...Object.keys(openLot.defectLimits)])].sort().map(verdict => {
+                const count = summary.counts[verdict] || 0;
+                const limit = openLot.defectLimits[verdict];
+                const breached = limit !== undefined && count > limit;
+                return (
+                  <tr key={verdict} style={{ borderTop: '1px solid #ccc', color: breached ? 'red' : undefined }}>
+                    <td style={{ paddingRight: '15px' }}>{verdict}</td>
+                    <td style={{ paddingRight: '15px' }}>{count}</td>
+                    <td>{limit === undefined ? '–' : limit}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <button onClick={() => onReport(openLot)}>Preview report</button>
+          <button
+            onClick={() => {
+              if (summary.complete || window.confirm(`Only ${summary.inspected} of ${openLot.quantity} parts inspected. Close the lot anyway?`)) {
+                onClose();
+              }
+            }}
+            style={{ marginLeft: '5px' }}
+          >
+            Close lot
+          </button>
+        </div>
+      ) : (
+        <LotForm classNames={classNames} sizes={sizes} onStart={onStart} />
+      )}
+
+      {closedLots.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginTop: '10px' }}>
+          <thead>
+            <tr style={{ textAlign: 'left' }}>
+              <th>Lot</th>
+              <th>Closed</th>
+              <th>Parts</th>
+              <th>Result</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {closedLots.slice(0, MAX_HISTORY_ROWS).map(lot => {
+              const lotResult = lotSummary(lot);
+              return (
+                <tr key={lot.id} style={{ borderTop: '1px solid #ccc' }}>
+                  <td>{lot.lotNumber}</td>
+                  <td>{new Date(lot.closedAt).toLocaleString()}</td>
+                  <td>{lotResult.inspected} / {lot.quantity}</td>
+                  <td style={{ color: lotResult.accepted ? 'green' : 'red' }}>{lotResult.accepted ? 'ACCEPTED' : 'REJECTED'}</td>
+                  <td><button onClick={() => onReport(lot)}>Report</button></td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default LotPanel;
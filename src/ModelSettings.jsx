@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { CASCADE_MODES } from './cascade';
+
+// Model URL field that only applies on Load, so a half-typed path isn't fetched
+function ModelUrlInput({ label, value, onLoad }) {
+  const [draft, setDraft] = useState(value);
+
+  useEffect(() => {
+    setDraft(value);
+  }, [value]);
+
+  return (
+    <div style={{ marginBottom: '5px' }}>
+      <label>
+        {label}:
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && draft.trim()) onLoad(draft.trim());
+          }}
+          style={{ width: '250px', margin: '0 5px' }}
+        />
+      </label>
+      <button onClick={() => onLoad(draft.trim())} disabled={!draft.trim() || draft.trim() === value}>
+        Load
+      </button>
+    </div>
+  );
+}
+
+function ModelSettings({ settings, onChange, classifier, classifierError }) {
+  const { detectorUrl, classifierUrl, classifierEnabled, mode, minConfidence, cropMargin, stillsOnly } = settings;
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginTop: '20px' }}>
+      <h3>Models</h3>
+      <ModelUrlInput label="Detector" value={detectorUrl} onLoad={(url) => update({ detectorUrl: url })} />
+      <ModelUrlInput label="Classifier" value={classifierUrl} onLoad={(url) => update({ classifierUrl: url })} />
+
+      <div style={{ marginBottom: '5px' }}>
+        <label style={{ marginRight: '15px' }}>
+          <input
+            type="checkbox"
+            checked={classifierEnabled}
+            onChange={(e) => update({ classifierEnabled: e.target.checked })}
+          />
+          Classify a crop of each detection (second stage)
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={stillsOnly}
+            disabled={!classifierEnabled}
+            onChange={(e) => update({ stillsOnly: e.target.checked })}
+          />
+          Still frames only (skip on live video)
+        </label>
+      </div>
+
+      {classifierEnabled && (
+        <div style={{ marginBottom: '5px' }}>
+          <select value={mode} onChange={(e) => update({ mode: e.target.value })} style={{ marginRight: '15px' }}>
+            {CASCADE_MODES.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+          </select>
+          <label style={{ marginRight: '15px' }}>
+            Min confidence:
+            <input
+              type="range"
+              min="0"
+              max="0.95"
+              step="0.05"
+              value={minConfidence}
+              onChange={(e) => update({ minConfidence: parseFloat(e.target.value) })}
+              style={{ margin: '0 5px', verticalAlign: 'middle' }}
+            />
+            {minConfidence.toFixed(2)}
+          </label>
+          <label>
+            Crop margin:
+            <input
+              type="range"
+              min="0"
+              max="0.5"
+              step="0.05"
+              value={cropMargin}
+              onChange={(e) => update({ cropMargin: parseFloat(e.target.value) })}
+              style={{ margin: '0 5px', verticalAlign: 'middle' }}
+            />
+            {Math.round(cropMargin * 100)}%
+          </label>
+        </div>
+      )}
+
+      {classifierEnabled && classifier && (
+        <div style={{ fontSize: '14px' }}>
+          Classifier: {classifier.names.length} classes ({classifier.names.join(', ')}) at {classifier.inputSize}px
+        </div>
+      )}
+      {classifierEnabled && classifierError && (
+        <div style={{ fontSize: '14px', color: 'red' }}>{classifierError}</div>
+      )}
+    </div>
+  );
+}
+
+export default ModelSettings;
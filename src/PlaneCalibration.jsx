@@ -0,0 +1,56 @@
+import React from 'react';
+
+const CORNER_NAMES = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+function PlaneCalibration({
+  widthMM,
+  heightMM,
+  onSizeChange,
+  picking,
+  points,
+  onStart,
+  onUndo,
+  onComplete
+}) {
+  const sizeInput = (value, key) => (
+    <input
+      type="number"
+      value={value}
+      onChange={(e) => {
+        const parsed = parseFloat(e.target.value);
+        if (parsed > 0) onSizeChange({ widthMM, heightMM, [key]: parsed });
+      }}
+      step="1"
+      min="1"
+      style={{ width: '70px', margin: '0 5px' }}
+    />
+  );
+
+  return (
+    <div>
+      <p>Lay a rectangle of known size (for example a mat) flat on the inspection plane:</p>
+      <div style={{ marginBottom: '10px' }}>
+        <label>Width (mm):</label>{sizeInput(widthMM, 'widthMM')}
+        <label>Height (mm):</label>{sizeInput(heightMM, 'heightMM')}
+      </div>
+
+      {!picking ? (
+        <button onClick={onStart}>Pick Corners</button>
+      ) : (
+        <div>
+          <p>
+            {points.length < 4
+              ? `Click the ${CORNER_NAMES[points.length]} corner (${points.length + 1} of 4)`
+              : 'All four corners set. Check the outline and grid, then complete.'}
+          </p>
+          <button onClick={onUndo} disabled={!points.length}>Undo Point</button>
+          <button onClick={onComplete} disabled={points.length < 4} style={{ marginLeft: '5px' }}>
+            Complete Calibration
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PlaneCalibration;
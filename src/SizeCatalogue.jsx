@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { CATALOGUES, STANDARD_SIZES } from './sizeStandards';
+
+const EMPTY_SIZE = { code: '', idMM: '', csMM: '', idToleranceMM: '', csToleranceMM: '' };
+const NUMBER_FIELDS = ['idMM', 'csMM', 'idToleranceMM', 'csToleranceMM'];
+
+function SizeCatalogue({ catalogue, onCatalogueChange, customSizes, onCustomSizesChange }) {
+  const [draft, setDraft] = useState(EMPTY_SIZE);
+
+  const draftValid = draft.code.trim() && NUMBER_FIELDS.every(field => parseFloat(draft[field]) > 0);
+
+  const addSize = () => {
+    const size = { catalogue: 'Custom', code: draft.code.trim() };
+    NUMBER_FIELDS.forEach(field => { size[field] = parseFloat(draft[field]); });
+    onCustomSizesChange([...customSizes.filter(existing => existing.code !== size.code), size]);
+    setDraft(EMPTY_SIZE);
+  };
+
+  const draftInput = (field, placeholder, width) => (
+    <input
+      type={field === 'code' ? 'text' : 'number'}
+      value={draft[field]}
+      placeholder={placeholder}
+      onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+      step="0.01"
+      min="0"
+      style={{ width, marginRight: '5px' }}
+    />
+  );
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginTop: '20px' }}>
+      <h3>Size Catalogue</h3>
+      <div style={{ marginBottom: '10px' }}>
+        <label>Match against: </label>
+        <select value={catalogue} onChange={(e) => onCatalogueChange(e.target.value)}>
+          {CATALOGUES.map(name => (
+            <option key={name} value={name}>
+              {name} ({name === 'Custom' ? customSizes.length : STANDARD_SIZES[name].length} sizes)
+            </option>
+          ))}
+          <option value="All">All catalogues</option>
+          <option value="None">None (no size check)</option>
+        </select>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '10px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left' }}>
+            <th>Custom size</th>
+            <th>ID (mm)</th>
+            <th>CS (mm)</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {customSizes.map(size => (
+            <tr key={size.code} style={{ borderTop: '1px solid #ccc' }}>
+              <td>{size.code}</td>
+              <td>{size.idMM.toFixed(2)} ± {size.idToleranceMM.toFixed(2)}</td>
+              <td>{size.csMM.toFixed(2)} ± {size.csToleranceMM.toFixed(2)}</td>
+              <td>
+                <button onClick={() => onCustomSizesChange(customSizes.filter(existing => existing !== size))}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div>
+        {draftInput('code', 'Code', '90px')}
+        {draftInput('idMM', 'ID', '60px')}
+        {draftInput('idToleranceMM', '± ID', '60px')}
+        {draftInput('csMM', 'CS', '60px')}
+        {draftInput('csToleranceMM', '± CS', '60px')}
+        <button onClick={addSize} disabled={!draftValid}>Add Size</button>
+      </div>
+    </div>
+  );
+}
+
+export default SizeCatalogue;
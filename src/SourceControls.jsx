@@ -0,0 +1,98 @@
+import React from 'react';
+
+const SOURCES = [
+  { id: 'camera', label: 'Live camera' },
+  { id: 'images', label: 'Image files' },
+  { id: 'video', label: 'Video file' }
+];
+
+const formatTime = (seconds) => {
+  if (!isFinite(seconds)) return '0:00.00';
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(2).padStart(5, '0')}`;
+};
+
+function SourceControls({
+  source,
+  onSourceChange,
+  imageFiles,
+  imageIndex,
+  onImageIndexChange,
+  onFilesSelected,
+  videoFile,
+  videoState,
+  onTogglePlay,
+  onStep
+}) {
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginBottom: '10px' }}>
+      <div style={{ marginBottom: '10px' }}>
+        <label>Source: </label>
+        {SOURCES.map(({ id, label }) => (
+          <label key={id} style={{ marginLeft: '10px' }}>
+            <input
+              type="radio"
+              name="source"
+              checked={source === id}
+              onChange={() => onSourceChange(id)}
+            />
+            {' '}{label}
+          </label>
+        ))}
+      </div>
+
+      {source === 'images' && (
+        <div>
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={(e) => onFilesSelected([...e.target.files])}
+          />
+          <p style={{ margin: '5px 0' }}>Or drop image files onto the view.</p>
+          {imageFiles.length > 0 && (
+            <div>
+              <button onClick={() => onImageIndexChange(imageIndex - 1)} disabled={imageIndex === 0}>
+                ◀ Previous
+              </button>
+              <span style={{ margin: '0 10px' }}>
+                {imageIndex + 1} / {imageFiles.length}: {imageFiles[imageIndex]?.name}
+              </span>
+              <button
+                onClick={() => onImageIndexChange(imageIndex + 1)}
+                disabled={imageIndex >= imageFiles.length - 1}
+              >
+                Next ▶
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {source === 'video' && (
+        <div>
+          <input
+            type="file"
+            accept="video/*"
+            onChange={(e) => e.target.files[0] && onFilesSelected([e.target.files[0]])}
+          />
+          <p style={{ margin: '5px 0' }}>Or drop a video file onto the view.</p>
+          {videoFile && (
+            <div>
+              <button onClick={() => onStep(-1)}>◀ Step</button>
+              <button onClick={onTogglePlay} style={{ margin: '0 5px' }}>
+                {videoState.playing ? 'Pause' : 'Play'}
+              </button>
+              <button onClick={() => onStep(1)}>Step ▶</button>
+              <span style={{ marginLeft: '10px' }}>
+                {formatTime(videoState.currentTime)} / {formatTime(videoState.duration)}
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SourceControls;
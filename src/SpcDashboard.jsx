@@ -0,0 +1,313 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  MEASURES, SUBGROUP_SIZES, WESTERN_ELECTRIC_RULES, loadSpcSettings, saveSpcSettings, specLimitsForSize,
+  measurementSeries, extent, histogram, xbarRChart, capability, defectPareto, defectTrend
+} from './spc';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const PAD = { left: 50, right: 50, top: 10, bottom: 20 };
+const HOUR_MS = 3600000;
+const PARETO_WINDOWS = [
+  ['hour', 'Last hour', HOUR_MS],
+  ['shift', 'Last 8 h', 8 * HOUR_MS],
+  ['day', 'Last 24 h', 24 * HOUR_MS],
+  ['week', 'Last 7 days', 7 * 24 * HOUR_MS],
+  ['all', 'All records', null]
+];
+const CLASS_COLOURS = ['#d62728', '#ff7f0e', '#9467bd', '#8c564b', '#e377c2', '#17becf', '#bcbd22', '#7f7f7f'];
+// Cpk below this is flagged; 1.33 is the usual minimum for a capable process
+const CPK_TARGET = 1.33;
+
+const plotWidth = CHART_WIDTH - PAD.left - PAD.right;
+const plotHeight = CHART_HEIGHT - PAD.top - PAD.bottom;
+const toX = (value, min, max) => PAD.left + (max > min ? (value - min) / (max - min) : 0.5) * plotWidth;
+const toY = (value, min, max) => PAD.top + (1 - (max > min ? (value - min) / (max - min) : 0.5)) * plotHeight;
+
+const numberOrNull = (text) => (text.trim() === '' || Number.isNaN(Number(text)) ? null : Number(text));
+
+function Chart({ title, children }) {
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <div style={{ fontSize: '14px', fontWeight: 'bold' }}>{title}</div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={{ width: '100%', maxWidth: `${CHART_WIDTH}px`, background: 'white' }}>
+        {children}
+      </svg>
+    </div>
+  );
+}
+
+function LimitLine({ y, label, colour, dashed }) {
+  return (
+    <g>
+      <line x1={PAD.left} x2={CHART_WIDTH - PAD.right} y1={y} y2={y} stroke={colour} strokeDasharray={dashed ? '4 3' : undefined} />
+      <text x={CHART_WIDTH - PAD.right + 3} y={y + 4} fontSize="10" fill={colour}>{label}</text>
+    </g>
+  );
+}
+
+function HistogramChart({ bins, lsl, usl, mean }) {
+  const top = Math.max(...bins.counts);
+  const x = (value) => toX(value, bins.min, bins.max);
+  const barWidth = plotWidth / bins.counts.length;
+  return (
+    <Chart title="Histogram">
+      {bins.counts.map((count, i) => (
+        <rect
+          key={i}
+          x={PAD.left + i * barWidth + 1}
+          y={toY(count, 0, top)}
+          width={barWidth - 2}
+          height={PAD.top + plotHeight - toY(count, 0, top)}
+          fill="#4a90d9"
+        >
+          <title>{`${(bins.min + i * bins.width).toFixed(3)}–${(bins.min + (i + 1) * bins.width).toFixed(3)} mm: ${count}`}</title>
+        </rect>
+      ))}
+      {[['LSL', lsl], ['USL', usl]].filter(([, value]) => value != null).map(([label, value]) => (
+        <g key={label}>
+          <line x1={x(value)} x2={x(value)} y1={PAD.top} y2={PAD.top + plotHeight} stroke="red" strokeWidth="2" />
+          <text x={x(value) + 3} y={PAD.top + 10} fontSize="10" fill="red">{label}</text>
+        </g>
+      ))}
+      <line x1={x(mean)} x2={x(mean)} y1={PAD.top} y2={PAD.top + plotHeight} stroke="green" strokeDasharray="4 3" />
+      <text x={PAD.left} y={CHART_HEIGHT - 5} fontSize="10">{bins.min.toFixed(3)}</text>
+      <text x={CHART_WIDTH - PAD.right} y={CHART_HEIGHT - 5} fontSize="10" textAnchor="end">{bins.max.toFixed(3)} mm</text>
+      <text x={PAD.left - 5} y={PAD.top + 8} fontSize="10" textAnchor="end">{top}</text>
+    </Chart>
+  );
+}
+
+// Points out of control are drawn red, with the broken rules in their tooltip
+function ControlChart({ title, points, limits, zones }) {
+  const sigma = (limits.ucl - limits.centre) / 3;
+  const range = extent(points);
+  const min = Math.min(range.min, limits.lcl);
+  const max = Math.max(range.max, limits.ucl);
+  const x = (i) => toX(i, 0, Math.max(1, points.length - 1));
+  const y = (value) => toY(value, min, max);
+  return (
+    <Chart title={title}>
+      {zones && [-2, -1, 1, 2].map(k => (
+        <line key={k} x1={PAD.left} x2={CHART_WIDTH - PAD.right} y1={y(limits.centre + k * sigma)} y2={y(limits.centre + k * sigma)} stroke="#ddd" />
+      ))}
+      <LimitLine y={y(limits.ucl)} label={`UCL ${limits.ucl.toFixed(3)}`} colour="red" dashed />
+      <LimitLine y={y(limits.centre)} label={limits.centre.toFixed(3)} colour="green" />
+      <LimitLine y={y(limits.lcl)} label={`LCL ${limits.lcl.toFixed(3)}`} colour="red" dashed />
+      <polyline points={points.map((value, i) => `${x(i)},${y(value)}`).join(' ')} fill="none" stroke="#333" />
+      {points.map((value, i) => {
+        const rules = limits.violations.get(i);
+        return (
+          <circle key={i} cx={x(i)} cy={y(value)} r={rules ? 4 : 2.5} fill={rules ? 'red' : '#333'}>
+            <title>
+              {`Subgroup ${i + 1}: ${value.toFixed(3)}`}
+              {rules && `\n${rules.map(rule => `Rule ${rule}: ${WESTERN_ELECTRIC_RULES[rule]}`).join('\n')}`}
+            </title>
+          </circle>
+        );
+      })}
+    </Chart>
+  );
+}
+
+function ParetoChart({ bars, colourOf }) {
+  const top = Math.max(1, ...bars.map(bar => bar.count));
+  const barWidth = plotWidth / bars.length;
+  const centre = (i) => PAD.left + (i + 0.5) * barWidth;
+  return (
+    <Chart title="Defect Pareto">
+      {bars.map((bar, i) => (
+        <g key={bar.name}>
+          <rect
+            x={PAD.left + i * barWidth + 4}
+            y={toY(bar.count, 0, top)}
+            width={barWidth - 8}
+            height={PAD.top + plotHeight - toY(bar.count, 0, top)}
+            fill={colourOf(bar.name)}
+          />
+          <text x={centre(i)} y={toY(bar.count, 0, top) - 2} fontSize="10" textAnchor="middle">{bar.count}</text>
+          <text x={centre(i)} y={CHART_HEIGHT - 5} fontSize="10" textAnchor="middle">{bar.name}</text>
+        </g>
+      ))}
+      <polyline
+        points={bars.map((bar, i) => `${centre(i)},${toY(bar.cumulativeShare, 0, 1)}`).join(' ')}
+        fill="none"
+        stroke="#333"
+      />
+      {bars.map((bar, i) => <circle key={bar.name} cx={centre(i)} cy={toY(bar.cumulativeShare, 0, 1)} r="2.5" fill="#333" />)}
+      <text x={CHART_WIDTH - PAD.right + 3} y={PAD.top + 8} fontSize="10">100%</text>
+      <text x={PAD.left - 5} y={PAD.top + 8} fontSize="10" textAnchor="end">{top}</text>
+    </Chart>
+  );
+}
+
+// Stacked defect counts per time bucket, so a class taking over shows up
+function DefectTrendChart({ buckets, classNames, colourOf }) {
+  const totals = buckets.map(bucket => Object.values(bucket.counts).reduce((sum, count) => sum + count, 0));
+  const top = Math.max(1, ...totals);
+  const barWidth = plotWidth / buckets.length;
+  const label = (time) => new Date(time).toLocaleString([], { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  return (
+    <Chart title="Defects over time">
+      {buckets.map((bucket, i) => {
+        let stacked = 0;
+        return (
+          <g key={i}>
+            {classNames.map(name => {
+              const count = bucket.counts[name];
+              if (!count) return null;
+              const y0 = toY(stacked, 0, top);
+              stacked += count;
+              const y1 = toY(stacked, 0, top);
+              return (
+                <rect key={name} x={PAD.left + i * barWidth + 2} y={y1} width={barWidth - 4} height={y0 - y1} fill={colourOf(name)}>
+                  <title>{`${label(bucket.start)}: ${name} ${count}`}</title>
+                </rect>
+              );
+            })}
+          </g>
+        );
+      })}
+      <text x={PAD.left} y={CHART_HEIGHT - 5} fontSize="10">{label(buckets[0].start)}</text>
+      <text x={CHART_WIDTH - PAD.right} y={CHART_HEIGHT - 5} fontSize="10" textAnchor="end">now</text>
+      <text x={PAD.left - 5} y={PAD.top + 8} fontSize="10" textAnchor="end">{top}</text>
+    </Chart>
+  );
+}
+
+function SpcDashboard({ records, classNames, sizes }) {
+  const [settings, setSettings] = useState(loadSpcSettings);
+  const [limitDrafts, setLimitDrafts] = useState({ lsl: settings.lsl ?? '', usl: settings.usl ?? '' });
+  const [paretoWindow, setParetoWindow] = useState('shift');
+
+  useEffect(() => {
+    saveSpcSettings(settings);
+  }, [settings]);
+
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }));
+  const setLimits = ({ lsl, usl }) => {
+    update({ lsl, usl });
+    setLimitDrafts({ lsl: lsl ?? '', usl: usl ?? '' });
+  };
+
+  const sizeCodes = useMemo(() => [...new Set(records.map(record => record.sizeCode).filter(Boolean))].sort(), [records]);
+  const selectedSize = sizes.find(size => size.code === settings.sizeCode);
+  const values = useMemo(
+    () => measurementSeries(records, { measure: settings.measure, sizeCode: settings.sizeCode }).map(({ value }) => value),
+    [records, settings.measure, settings.sizeCode]
+  );
+  const chart = useMemo(() => xbarRChart(values, settings.subgroupSize), [values, settings.subgroupSize]);
+  const bins = useMemo(() => histogram(values, { lsl: settings.lsl, usl: settings.usl }), [values, settings.lsl, settings.usl]);
+  const capable = capability(values, { lsl: settings.lsl, usl: settings.usl, sigma: chart?.sigma });
+
+  const defectClasses = classNames.filter(name => name !== 'OK');
+  const colourOf = (name) => CLASS_COLOURS[defectClasses.indexOf(name) % CLASS_COLOURS.length];
+  const { windowRecords, from, to } = useMemo(() => {
+    const now = Date.now();
+    const span = PARETO_WINDOWS.find(([key]) => key === paretoWindow)[2];
+    const start = span ? now - span : Math.min(now - HOUR_MS, extent(records.map(record => Date.parse(record.timestamp))).min);
+    return { windowRecords: records.filter(record => Date.parse(record.timestamp) >= start), from: start, to: now + 1 };
+  }, [records, paretoWindow]);
+  const pareto = useMemo(() => defectPareto(windowRecords, defectClasses), [windowRecords, classNames]);
+  const trend = useMemo(() => defectTrend(windowRecords, defectClasses, { from, to }), [windowRecords, classNames, from, to]);
+  const outOfControl = chart ? chart.xbar.violations.size + chart.range.violations.size : 0;
+
+  return (
+    <div style={{ background: '#f0f0f0', padding: '10px', borderRadius: '5px', marginTop: '20px' }}>
+      <h3>SPC Dashboard</h3>
+
+      <div style={{ marginBottom: '5px' }}>
+        <label>Measure: </label>
+        <select value={settings.measure} onChange={(e) => update({ measure: e.target.value })}>
+          {MEASURES.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <label style={{ marginLeft: '10px' }}>Size: </label>
+        <select value={settings.sizeCode || ''} onChange={(e) => update({ sizeCode: e.target.value || null })}>
+          <option value="">All parts</option>
+          {sizeCodes.map(code => <option key={code} value={code}>{code}</option>)}
+        </select>
+        <label style={{ marginLeft: '10px' }}>Subgroup size: </label>
+        <select value={settings.subgroupSize} onChange={(e) => update({ subgroupSize: parseInt(e.target.value, 10) })}>
+          {SUBGROUP_SIZES.map(n => <option key={n} value={n}>{n}</option>)}
+        </select>
+      </div>
+      <div style={{ marginBottom: '10px' }}>
+        {['lsl', 'usl'].map(key => (
+          <label key={key} style={{ marginRight: '10px' }}>
+            {key.toUpperCase()} (mm):
+            <input
+              type="number"
+              step="0.01"
+              value={limitDrafts[key]}
+              onChange={(e) => setLimitDrafts({ ...limitDrafts, [key]: e.target.value })}
+              onBlur={() => update({ [key]: numberOrNull(String(limitDrafts[key])) })}
+              style={{ width: '80px', marginLeft: '5px' }}
+            />
+          </label>
+        ))}
+        <button onClick={() => setLimits(specLimitsForSize(selectedSize, settings.measure))} disabled={!selectedSize}>
+          From size tolerance
+        </button>
+        <button onClick={() => setLimits({ lsl: null, usl: null })} style={{ marginLeft: '5px' }}>Clear limits</button>
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        {values.length} measured parts
+        {chart && `, ${chart.subgroups.length} subgroups of ${settings.subgroupSize}`}
+        {capable && (
+          <>
+            {`, mean ${capable.mean.toFixed(3)} mm, σ ${capable.sigma.toFixed(4)} mm`}
+            {capable.cp != null && `, Cp ${capable.cp.toFixed(2)}`}
+            {capable.cpk != null && (
+              <span style={{ color: capable.cpk < CPK_TARGET ? 'red' : 'green', fontWeight: 'bold' }}>
+                {`, Cpk ${capable.cpk.toFixed(2)}`}
+              </span>
+            )}
+          </>
+        )}
+        {capable && settings.lsl == null && settings.usl == null && ' (enter spec limits for Cp/Cpk)'}
+        {outOfControl > 0 && (
+          <span style={{ color: 'red', marginLeft: '10px' }}>{outOfControl} out-of-control point(s)</span>
+        )}
+      </div>
+
+      {bins && <HistogramChart bins={bins} lsl={settings.lsl} usl={settings.usl} mean={capable ? capable.mean : values[0]} />}
+      {chart ? (
+        <>
+          <ControlChart title="X̄ chart" points={chart.subgroups.map(group => group.mean)} limits={chart.xbar} zones />
+          <ControlChart title="R chart" points={chart.subgroups.map(group => group.range)} limits={chart.range} />
+          <div style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+            Western Electric rules on X̄: {Object.entries(WESTERN_ELECTRIC_RULES).map(([rule, text]) => `${rule}) ${text}`).join(', ')}.
+            R points are checked against their limits only.
+          </div>
+        </>
+      ) : (
+        <div style={{ marginBottom: '10px', color: '#666' }}>
+          The control chart needs at least {settings.subgroupSize} measured parts.
+        </div>
+      )}
+
+      <div style={{ marginBottom: '5px' }}>
+        <label>Defects from: </label>
+        <select value={paretoWindow} onChange={(e) => setParetoWindow(e.target.value)}>
+          {PARETO_WINDOWS.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <span style={{ marginLeft: '10px' }}>
+          {pareto.reduce((sum, bar) => sum + bar.count, 0)} defects in {windowRecords.length} parts
+        </span>
+      </div>
+      <ParetoChart bars={pareto} colourOf={colourOf} />
+      <DefectTrendChart buckets={trend} classNames={defectClasses} colourOf={colourOf} />
+      <div style={{ fontSize: '12px' }}>
+        {defectClasses.map(name => (
+          <span key={name} style={{ marginRight: '10px' }}>
+            <span style={{ display: 'inline-block', width: '10px', height: '10px', background: colourOf(name), marginRight: '3px' }} />
+            {name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SpcDashboard;
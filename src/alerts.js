@@ -0,0 +1,30 @@
+// Audible alarm for the operator, synthesised with WebAudio so no sound file has to ship
+
+const BEEP_HZ = 880;
+const BEEP_SECONDS = 0.2;
+const BEEP_GAP_SECONDS = 0.1;
+
+let audioContext = null;
+
+// Browsers only start audio after a user gesture, so call this from one (e.g. starting a lot)
+export function unlockAudio() {
+  if (!audioContext) audioContext = new AudioContext();
+  if (audioContext.state === 'suspended') audioContext.resume();
+}
+
+export function playAlarm(beeps = 3) {
+  unlockAudio();
+  const start = audioContext.currentTime;
+  for (let i = 0; i < beeps; i++) {
+    const at = start + i * (BEEP_SECONDS + BEEP_GAP_SECONDS);
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = 'square';
+    oscillator.frequency.value = BEEP_HZ;
+    gain.gain.setValueAtTime(0.2, at);
+    gain.gain.exponentialRampToValueAtTime(0.001, at + BEEP_SECONDS);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(at);
+    oscillator.stop(at + BEEP_SECONDS);
+  }
+}
@@ -0,0 +1,70 @@
+// Least-squares scale fit over several reference objects of known diameter.
+// Model: measuredPx = pixelsPerMM * knownMM (a line through the origin). Outliers are
+// removed one at a time while their residual stands out from the rest (robust MAD test).
+
+const MIN_SAMPLES_FOR_REJECTION = 3;
+const MAD_TO_SIGMA = 1.4826;
+const OUTLIER_SIGMAS = 3;
+const Z_95 = 1.96;
+
+function fitThroughOrigin(samples) {
+  let sxy = 0;
+  let sxx = 0;
+  samples.forEach(({ knownMM, diameterPx }) => {
+    sxy += knownMM * diameterPx;
+    sxx += knownMM * knownMM;
+  });
+  return sxx > 0 ? sxy / sxx : null;
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// samples: [{ diameterPx, knownMM }]; minOutlierMM keeps near-perfect fits from rejecting noise
+export function fitCalibration(samples, { minOutlierMM = 0 } = {}) {
+  const usable = samples.filter(sample => sample.diameterPx > 0 && sample.knownMM > 0);
+  if (!usable.length) return null;
+
+  let inliers = usable;
+  const outliers = [];
+  let pixelsPerMM = fitThroughOrigin(inliers);
+
+  while (inliers.length > MIN_SAMPLES_FOR_REJECTION) {
+    const residuals = inliers.map(sample => Math.abs(sample.diameterPx / pixelsPerMM - sample.knownMM));
+    const spread = MAD_TO_SIGMA * median(residuals.map(r => Math.abs(r - median(residuals))));
+    const threshold = Math.max(OUTLIER_SIGMAS * spread, minOutlierMM);
+    const worst = residuals.indexOf(Math.max(...residuals));
+    if (residuals[worst] <= threshold) break;
+
+    outliers.push(inliers[worst]);
+    inliers = inliers.filter((_, i) => i !== worst);
+    pixelsPerMM = fitThroughOrigin(inliers);
+  }
+
+  const residualOf = (sample) => sample.diameterPx / pixelsPerMM - sample.knownMM;
+  const inlierResiduals = inliers.map(residualOf);
+  const rmsErrorMM = Math.sqrt(inlierResiduals.reduce((sum, r) => sum + r * r, 0) / inliers.length);
+  const maxErrorMM = Math.max(...inlierResiduals.map(Math.abs));
+
+  // Standard error of the slope; needs at least two references to say anything
+  let scaleUncertainty = null;
+  if (inliers.length > 1) {
+    const sse = inliers.reduce((sum, s) => sum + (s.diameterPx - pixelsPerMM * s.knownMM) ** 2, 0);
+    const sxx = inliers.reduce((sum, s) => sum + s.knownMM * s.knownMM, 0);
+    const standardError = Math.sqrt(sse / (inliers.length - 1) / sxx);
+    scaleUncertainty = (Z_95 * standardError) / pixelsPerMM;
+  }
+
+  return {
+    pixelsPerMM,
+    rmsErrorMM,
+    maxErrorMM,
+    // Relative 95% interval on the scale, e.g. 0.004 = ±0.4% on every measured size
+    scaleUncertainty,
+    inliers: inliers.length,
+    residuals: usable.map(sample => ({ sample, errorMM: residualOf(sample), outlier: outliers.includes(sample) }))
+  };
+}
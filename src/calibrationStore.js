@@ -0,0 +1,103 @@
+import { putRecord, getAllRecords, deleteRecord } from './storage';
+import { createPlane } from './measurement';
+
+// Named calibrations saved per camera, so a reload or camera switch doesn't mean recalibrating
+
+const STORE = 'calibrationProfiles';
+const MAX_AGE_KEY = 'calibrationMaxAgeDays';
+const DEFAULT_MAX_AGE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function createProfile({ name, pixelsPerMM, referenceSize, camera, fit = null, plane = null }) {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    pixelsPerMM,
+    referenceSize,
+    // References and residuals from calibrationFit, kept as the accuracy record
+    fit,
+    // Four-point reference plane (image corners and rectangle size); the homography is rebuilt on load
+    plane,
+    deviceId: camera?.deviceId || null,
+    deviceLabel: camera?.label || null,
+    resolution: camera ? { width: camera.width, height: camera.height } : null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+export const saveProfile = (profile) => putRecord(STORE, profile);
+export const deleteProfile = (id) => deleteRecord(STORE, id);
+
+export async function loadProfiles() {
+  const profiles = await getAllRecords(STORE);
+  return profiles.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Newest profile taken with this camera at this resolution; scale depends on both
+export function findProfileForCamera(profiles, camera) {
+  if (!camera?.deviceId) return null;
+  return profiles.find(profile =>
+    profile.deviceId === camera.deviceId &&
+    profile.resolution?.width === camera.width &&
+    profile.resolution?.height === camera.height
+  ) || null;
+}
+
+export const profileAgeDays = (profile) => (Date.now() - new Date(profile.createdAt).getTime()) / DAY_MS;
+
+export function loadMaxAgeDays() {
+  const value = parseFloat(localStorage.getItem(MAX_AGE_KEY));
+  return value > 0 ? value : DEFAULT_MAX_AGE_DAYS;
+}
+
+export function saveMaxAgeDays(days) {
+  localStorage.setItem(MAX_AGE_KEY, String(days));
+}
+
+export function profilesToJson(profiles) {
+  return JSON.stringify({ type: 'oring-calibration-profiles', version: 1, profiles }, null, 2);
+}
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isOptionalString = (value) => value == null || typeof value === 'string';
+
+// Camera fields as createProfile writes them; the panel shows them and matches cameras on them
+const isValidCamera = ({ deviceId, deviceLabel, resolution }) =>
+  isOptionalString(deviceId) &&
+  isOptionalString(deviceLabel) &&
+  (resolution == null || (isPositiveNumber(resolution.width) && isPositiveNumber(resolution.height)));
+
+// The fit is shown as the profile's accuracy record, so a malformed one would break the panel
+const isValidFit = (fit) =>
+  Array.isArray(fit.references) &&
+  Number.isFinite(fit.rmsErrorMM) &&
+  (fit.scaleUncertainty == null || Number.isFinite(fit.scaleUncertainty));
+
+// The plane is rebuilt with createPlane when the profile is applied, so its corners have to
+// give a usable homography
+const isValidPlane = (plane) =>
+  Array.isArray(plane.corners) && plane.corners.length === 4 &&
+  plane.corners.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.y)) &&
+  isPositiveNumber(plane.widthMM) && isPositiveNumber(plane.heightMM) &&
+  createPlane(plane.corners, plane.widthMM, plane.heightMM) !== null;
+
+// Accepts an export from another station; profiles keep their ids so re-importing updates them
+export async function importProfiles(file) {
+  const parsed = JSON.parse(await file.text());
+  const profiles = Array.isArray(parsed) ? parsed : parsed.profiles;
+  if (!Array.isArray(profiles)) {
+    throw new Error('No profiles found in file');
+  }
+
+  const valid = profiles.filter(profile =>
+    profile && typeof profile.name === 'string' && isPositiveNumber(profile.pixelsPerMM) &&
+    typeof profile.createdAt === 'string' && !isNaN(Date.parse(profile.createdAt)) &&
+    isValidCamera(profile) &&
+    (profile.fit == null || isValidFit(profile.fit)) &&
+    (profile.plane == null || isValidPlane(profile.plane))
+  );
+  for (const profile of valid) {
+    await saveProfile({ ...profile, id: profile.id || crypto.randomUUID() });
+  }
+  return valid.length;
+}
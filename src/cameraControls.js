@@ -0,0 +1,112 @@
+// Camera selection and capture controls. The chosen device (or the default front/rear camera)
+// is kept per station, and each one remembers its resolution and the focus, exposure, white
+// balance, zoom and torch values applied to its track.
+
+const SETTINGS_KEY = 'cameraSettings';
+
+export const RESOLUTIONS = ['3840x2160', '2560x1440', '1920x1080', '1280x720', '640x480'];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  // A device from enumerateDevices, or null for the default camera facing `facingMode`
+  deviceId: null,
+  facingMode: 'environment',
+  // Per camera (see cameraKey): { resolution, controls: { focusMode, focusDistance, ... } }
+  devices: {}
+};
+
+const DEFAULT_DEVICE_SETTINGS = { resolution: '1920x1080', controls: {} };
+
+// Manual values only take effect with their mode set to 'manual'
+export const MODE_CONTROLS = [
+  { label: 'Focus', mode: 'focusMode', value: 'focusDistance', valueLabel: 'Focus distance' },
+  { label: 'Exposure', mode: 'exposureMode', value: 'exposureTime', valueLabel: 'Exposure time' },
+  { label: 'White balance', mode: 'whiteBalanceMode', value: 'colorTemperature', valueLabel: 'Colour temperature (K)' }
+];
+
+export const RANGE_CONTROLS = [
+  { label: 'Exposure compensation', value: 'exposureCompensation' },
+  { label: 'Zoom', value: 'zoom' }
+];
+
+const CONTROL_KEYS = [
+  ...MODE_CONTROLS.flatMap(({ mode, value }) => [mode, value]),
+  ...RANGE_CONTROLS.map(({ value }) => value),
+  'torch'
+];
+
+export function loadCameraSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return saved ? { ...DEFAULT_CAMERA_SETTINGS, ...saved } : DEFAULT_CAMERA_SETTINGS;
+  } catch {
+    return DEFAULT_CAMERA_SETTINGS;
+  }
+}
+
+export function saveCameraSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export const cameraKey = (settings) => settings.deviceId || `default-${settings.facingMode}`;
+
+export const deviceSettings = (settings) => ({ ...DEFAULT_DEVICE_SETTINGS, ...settings.devices[cameraKey(settings)] });
+
+export const withDeviceSettings = (settings, changes) => ({
+  ...settings,
+  devices: { ...settings.devices, [cameraKey(settings)]: { ...deviceSettings(settings), ...changes } }
+});
+
+// No camera list at all outside a secure context, where navigator.mediaDevices is missing
+export async function listCameras() {
+  if (!navigator.mediaDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+// Resolutions are asked for as `ideal`, so a camera that can't do them opens at its nearest
+export function videoConstraints(settings) {
+  const [width, height] = deviceSettings(settings).resolution.split('x').map(Number);
+  return {
+    ...(settings.deviceId ? { deviceId: { exact: settings.deviceId } } : { facingMode: settings.facingMode }),
+    width: { ideal: width },
+    height: { ideal: height }
+  };
+}
+
+// What the track supports (getCapabilities) and its current values, limited to our controls
+export function trackControls(track) {
+  const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+  const settings = track.getSettings();
+  const supported = {};
+  const values = {};
+  CONTROL_KEYS.forEach(key => {
+    if (capabilities[key] === undefined) return;
+    supported[key] = capabilities[key];
+    if (settings[key] !== undefined) values[key] = settings[key];
+  });
+  return { capabilities: supported, values, maxWidth: capabilities.width?.max, maxHeight: capabilities.height?.max };
+}
+
+const supports = (capability, value) => {
+  if (capability === undefined) return false;
+  if (Array.isArray(capability)) return capability.includes(value);
+  if (typeof capability === 'boolean') return capability || value === false;
+  return typeof value === 'number' && value >= capability.min && value <= capability.max;
+};
+
+// Apply the saved controls the track supports; the rest are left alone (another camera may
+// have saved values this one can't take)
+export async function applyControls(track, controls) {
+  const { capabilities } = trackControls(track);
+  const constraint = {};
+  Object.entries(controls).forEach(([key, value]) => {
+    if (supports(capabilities[key], value)) constraint[key] = value;
+  });
+  MODE_CONTROLS.forEach(({ mode, value }) => {
+    if (capabilities[mode] && constraint[mode] !== 'manual') delete constraint[value];
+  });
+  if (!Object.keys(constraint).length) return;
+  await track.applyConstraints({ advanced: [constraint] });
+}
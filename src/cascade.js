@@ -0,0 +1,86 @@
+// Optional second stage: a crop classifier that re-labels each detected ring from a
+// high-resolution crop, plus the model choice for both stages, kept per station
+
+const SETTINGS_KEY = 'modelSettings';
+
+const DEFAULT_CLASSIFIER_INPUT_SIZE = 224;
+const OK_LABEL = 'OK';
+
+export const CASCADE_MODES = [
+  ['refine', 'Refine defects (relabel defect boxes only)'],
+  ['override', 'Override (classifier decides every box)']
+];
+
+export const DEFAULT_MODEL_SETTINGS = {
+  detectorUrl: '/best.onnx',
+  classifierUrl: '/classifier.onnx',
+  classifierEnabled: false,
+  mode: 'refine',
+  // Classifier labels below this confidence leave the detector's label alone
+  minConfidence: 0.5,
+  // Context around the box on each side, as a fraction of its longer side
+  cropMargin: 0.15,
+  // Skip the second stage on live frames, where it costs the most
+  stillsOnly: false
+};
+
+export function loadModelSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return saved ? { ...DEFAULT_MODEL_SETTINGS, ...saved } : DEFAULT_MODEL_SETTINGS;
+  } catch {
+    return DEFAULT_MODEL_SETTINGS;
+  }
+}
+
+export function saveModelSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Ultralytics classification exports store the square input size as e.g. "[224, 224]"
+export function classifierInputSize(metadata) {
+  const size = parseInt(String(metadata.imgsz || '').match(/\d+/)?.[0], 10);
+  return size > 0 ? size : DEFAULT_CLASSIFIER_INPUT_SIZE;
+}
+
+// Best class of one [1, numClasses] output. Exports that end in raw logits are softmaxed first.
+export function topClass(scores, names) {
+  let probabilities = Array.from(scores);
+  const sum = probabilities.reduce((total, value) => total + value, 0);
+  if (probabilities.some(value => value < 0) || Math.abs(sum - 1) > 0.01) {
+    const max = Math.max(...probabilities);
+    const exps = probabilities.map(value => Math.exp(value - max));
+    const expSum = exps.reduce((total, value) => total + value, 0);
+    probabilities = exps.map(value => value / expSum);
+  }
+  const classId = probabilities.indexOf(Math.max(...probabilities));
+  return { label: names[classId] || String(classId), classId, confidence: probabilities[classId] };
+}
+
+// Square crop around a box with its margin, in frame pixels (may extend past the frame)
+export function cropRegion(box, margin) {
+  const side = Math.max(box.x2 - box.x1, box.y2 - box.y1) * (1 + 2 * margin);
+  return {
+    x: (box.x1 + box.x2) / 2 - side / 2,
+    y: (box.y1 + box.y2) / 2 - side / 2,
+    width: side,
+    height: side
+  };
+}
+
+// Final label of a box the classifier has seen. The detector's own call is kept alongside,
+// so both confidences can be shown. In 'refine' mode only defect boxes are relabelled, and
+// only to another defect, so a classifier trained on defect crops can't pass a ring.
+export function applyClassification(box, { mode, minConfidence }, names) {
+  const { classification } = box;
+  if (!classification) return box;
+
+  const refined = { ...box, detectorLabel: box.label, detectorConfidence: box.confidence };
+  const applies = mode === 'override' || (box.label !== OK_LABEL && classification.label !== OK_LABEL);
+  if (applies && classification.confidence >= minConfidence && classification.label !== box.label) {
+    refined.label = classification.label;
+    const classId = names.indexOf(classification.label);
+    if (classId >= 0) refined.classId = classId;
+  }
+  return refined;
+}
@@ -0,0 +1,87 @@
+// Conveyor set-up: an inspection ROI polygon and a counting line, both in frame pixels and
+// kept per station, plus the running part count built from parts crossing the line
+
+const SETTINGS_KEY = 'conveyorSettings';
+const THROUGHPUT_WINDOW_MS = 60000;
+
+export const DEFAULT_CONVEYOR_SETTINGS = {
+  // [{ x, y }, ...] with at least three corners, or null to inspect the whole frame
+  roi: null,
+  // { a: { x, y }, b: { x, y } }, or null to count every finished part
+  line: null
+};
+
+export function loadConveyorSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return saved ? { ...DEFAULT_CONVEYOR_SETTINGS, ...saved } : DEFAULT_CONVEYOR_SETTINGS;
+  } catch {
+    return DEFAULT_CONVEYOR_SETTINGS;
+  }
+}
+
+export function saveConveyorSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export const boxCentre = (box) => ({ x: (box.x1 + box.x2) / 2, y: (box.y1 + box.y2) / 2 });
+
+// Ray casting: count the polygon edges a horizontal ray from the point crosses
+export function pointInPolygon({ x, y }, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// A ring is inspected when its centre lies inside the ROI
+export const insideRoi = (box, roi) => !roi || pointInPolygon(boxCentre(box), roi);
+
+// Which side of a→b the point lies on (sign of the cross product)
+const side = (a, b, p) => (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+
+// Movement p→q crosses segment a→b. Landing exactly on the line counts as crossing,
+// moving off it again doesn't, so a part sitting on the line isn't counted twice.
+export function segmentsCross(p, q, a, b) {
+  const d1 = side(a, b, p);
+  const d2 = side(a, b, q);
+  const d3 = side(p, q, a);
+  const d4 = side(p, q, b);
+  const crossesLine = (d1 > 0 && d2 <= 0) || (d1 < 0 && d2 >= 0);
+  const withinSegment = (d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0);
+  return crossesLine && withinSegment;
+}
+
+// Follow a matched track's centre and flag it once it has crossed the counting line
+export function updateLineCrossing(track, line) {
+  const centre = boxCentre(track.box);
+  if (line && !track.crossedLine && track.lastCentre && segmentsCross(track.lastCentre, centre, line.a, line.b)) {
+    track.crossedLine = true;
+  }
+  track.lastCentre = centre;
+}
+
+// parts: [{ verdict, time }] in count order. Throughput is over the last minute, or over
+// the time since counting started when that's shorter.
+export function countSummary(parts, startedAt, now = Date.now()) {
+  const byVerdict = {};
+  parts.forEach(({ verdict }) => {
+    byVerdict[verdict] = (byVerdict[verdict] || 0) + 1;
+  });
+  const rejects = parts.filter(({ verdict }) => verdict !== 'OK').length;
+  const windowMs = Math.min(THROUGHPUT_WINDOW_MS, now - startedAt);
+  const recent = parts.filter(({ time }) => now - time <= windowMs).length;
+
+  return {
+    total: parts.length,
+    byVerdict: Object.entries(byVerdict).sort((a, b) => b[1] - a[1]),
+    rejects,
+    rejectRate: parts.length ? rejects / parts.length : null,
+    partsPerMinute: windowMs > 0 ? recent / windowMs * 60000 : null
+  };
+}
@@ -0,0 +1,244 @@
+import { confidenceThreshold, nmsThreshold } from './thresholds.js';
+
+// Detection pipeline shared by the browser worker/app and the batch CLI (scripts/batchInspect.js):
+// letterbox geometry and tensor layout, output decoding, NMS and IoU. Nothing here touches the
+// DOM, and imports carry explicit extensions so Node can load the module as-is.
+
+export const LETTERBOX_GREY = 114; // Ultralytics padding colour
+
+// Scale that fits the frame into the square model input keeping its aspect ratio, and the
+// padding around it. Pads are whole pixels so every backend draws the same image.
+export function letterboxGeometry(frameWidth, frameHeight, inputSize) {
+  const scale = Math.min(inputSize / frameWidth, inputSize / frameHeight);
+  const scaledWidth = Math.round(frameWidth * scale);
+  const scaledHeight = Math.round(frameHeight * scale);
+  return {
+    scale,
+    padX: Math.floor((inputSize - scaledWidth) / 2),
+    padY: Math.floor((inputSize - scaledHeight) / 2),
+    scaledWidth,
+    scaledHeight,
+    frameWidth,
+    frameHeight
+  };
+}
+
+// Interleaved RGBA pixels of the letterboxed input to a normalised CHW float tensor
+export function rgbaToTensor(rgba, inputSize, tensor = new Float32Array(3 * inputSize * inputSize)) {
+  const planeSize = inputSize * inputSize;
+  for (let i = 0; i < planeSize; i++) {
+    tensor[i] = rgba[i * 4] / 255;
+    tensor[i + planeSize] = rgba[i * 4 + 1] / 255;
+    tensor[i + 2 * planeSize] = rgba[i * 4 + 2] / 255;
+  }
+  return tensor;
+}
+
+// YOLOv5 exports [1, N, 5 + nc] with an objectness column,
+// YOLOv8/YOLO11 export [1, 4 + nc, N] without one
+export function detectOutputLayout(dims, numClasses) {
+  const [, a, b] = dims;
+  if (typeof a !== 'number' || typeof b !== 'number') return null;
+  if (b === 5 + numClasses) return 'yolov5';
+  if (a === 4 + numClasses) return 'yolov8';
+  return a < b ? 'yolov8' : 'yolov5';
+}
+
+// Map boxes from letterboxed model space back to source-frame pixels. A tile's letterbox
+// also carries the tile's offset in the frame.
+export function scaleBoxesToFrame(boxes, letterbox) {
+  if (!letterbox) return boxes;
+  const { scale, padX, padY, frameWidth, frameHeight, offsetX = 0, offsetY = 0 } = letterbox;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return boxes.map(box => {
+    const x1 = clamp((box.x1 - padX) / scale, frameWidth) + offsetX;
+    const y1 = clamp((box.y1 - padY) / scale, frameHeight) + offsetY;
+    const x2 = clamp((box.x2 - padX) / scale, frameWidth) + offsetX;
+    const y2 = clamp((box.y2 - padY) / scale, frameHeight) + offsetY;
+    return { ...box, x1, y1, x2, y2, width: x2 - x1, height: y2 - y1 };
+  });
+}
+
+// Start positions of overlapping tiles along one axis, spread evenly so the last tile ends
+// exactly on the far edge
+function tileStarts(start, length, tileSize, overlap) {
+  if (length <= tileSize) return [start];
+  const count = Math.ceil((length - tileSize) / (tileSize * (1 - overlap))) + 1;
+  const step = (length - tileSize) / (count - 1);
+  return Array.from({ length: count }, (_, i) => Math.round(start + i * step));
+}
+
+// Regions for tiled inference: overlapping tileSize squares (frame pixels) over the ROI, or
+// the whole frame, plus optionally one pass over that whole area so rings bigger than the
+// overlap are still seen in one piece. Tiles remember the area they were cut from.
+export function tileRegions(frameWidth, frameHeight, { tileSize, overlap, roiOnly, roi, includeFullFrame }) {
+  const area = roiOnly && roi
+    ? {
+      x: Math.max(0, Math.round(roi.x)),
+      y: Math.max(0, Math.round(roi.y)),
+      width: Math.min(frameWidth, Math.round(roi.x + roi.width)) - Math.max(0, Math.round(roi.x)),
+      height: Math.min(frameHeight, Math.round(roi.y + roi.height)) - Math.max(0, Math.round(roi.y))
+    }
+    : { x: 0, y: 0, width: frameWidth, height: frameHeight };
+  if (area.width <= 0 || area.height <= 0) return [];
+
+  const width = Math.min(tileSize, area.width);
+  const height = Math.min(tileSize, area.height);
+  const tiles = tileStarts(area.x, area.width, tileSize, overlap).flatMap(x =>
+    tileStarts(area.y, area.height, tileSize, overlap).map(y => ({ x, y, width, height, area }))
+  );
+  // A single tile already is the whole area
+  return includeFullFrame && tiles.length > 1 ? [area, ...tiles] : tiles;
+}
+
+// A box touching a tile edge that lies inside the tiled area is a cut-off part of a ring;
+// the overlapping neighbouring tile (or the full pass) sees that ring whole
+export function dropCutBoxes(boxes, tile, margin = 2) {
+  const { area } = tile;
+  if (!area) return boxes;
+  const cutLeft = tile.x > area.x;
+  const cutTop = tile.y > area.y;
+  const cutRight = tile.x + tile.width < area.x + area.width;
+  const cutBottom = tile.y + tile.height < area.y + area.height;
+  return boxes.filter(box => !(
+    (cutLeft && box.x1 <= tile.x + margin) ||
+    (cutTop && box.y1 <= tile.y + margin) ||
+    (cutRight && box.x2 >= tile.x + tile.width - margin) ||
+    (cutBottom && box.y2 >= tile.y + tile.height - margin)
+  ));
+}
+
+export function parseYOLOv5Output(data, dims, names, settings) {
+  const [, num_boxes, num_attrs] = dims;
+  const boxes = [];
+
+  for (let i = 0; i < num_boxes; i++) {
+    const offset = i * num_attrs;
+    const slice = data.subarray(offset, offset + num_attrs);
+
+    const x = slice[0];
+    const y = slice[1];
+    const w = slice[2];
+    const h = slice[3];
+    const conf = slice[4];
+    const classConfs = slice.subarray(5);
+
+    const classId = classConfs.indexOf(Math.max(...classConfs));
+    const classConf = classConfs[classId];
+    const totalConf = conf * classConf;
+    const label = names[classId] || 'unknown';
+
+    if (totalConf > confidenceThreshold(settings, label)) {
+      boxes.push({
+        x1: x - w / 2,
+        y1: y - h / 2,
+        x2: x + w / 2,
+        y2: y + h / 2,
+        width: w,
+        height: h,
+        label,
+        confidence: totalConf,
+        classId: classId
+      });
+    }
+  }
+
+  return boxes;
+}
+
+// Transposed layout: attributes are rows, so each box is read column-wise
+export function parseYOLOv8Output(data, dims, names, settings) {
+  const [, num_attrs, num_boxes] = dims;
+  const numClasses = num_attrs - 4;
+  const boxes = [];
+
+  for (let i = 0; i < num_boxes; i++) {
+    let classId = 0;
+    let classConf = -Infinity;
+    for (let c = 0; c < numClasses; c++) {
+      const score = data[(4 + c) * num_boxes + i];
+      if (score > classConf) {
+        classConf = score;
+        classId = c;
+      }
+    }
+
+    const label = names[classId] || 'unknown';
+    if (classConf > confidenceThreshold(settings, label)) {
+      const x = data[i];
+      const y = data[num_boxes + i];
+      const w = data[2 * num_boxes + i];
+      const h = data[3 * num_boxes + i];
+      boxes.push({
+        x1: x - w / 2,
+        y1: y - h / 2,
+        x2: x + w / 2,
+        y2: y + h / 2,
+        width: w,
+        height: h,
+        label,
+        confidence: classConf,
+        classId: classId
+      });
+    }
+  }
+
+  return boxes;
+}
+
+// Class-aware by default; each box suppresses with the IoU threshold of its own class
+export function nonMaxSuppression(boxes, settings) {
+  const sortedBoxes = [...boxes].sort((a, b) => b.confidence - a.confidence);
+  const selectedBoxes = [];
+
+  while (sortedBoxes.length > 0) {
+    const currentBox = sortedBoxes.shift();
+    selectedBoxes.push(currentBox);
+
+    for (let i = sortedBoxes.length - 1; i >= 0; i--) {
+      if (settings.classAgnostic || sortedBoxes[i].classId === currentBox.classId) {
+        const iou = calculateIoU(currentBox, sortedBoxes[i]);
+        if (iou > nmsThreshold(settings, currentBox.label)) {
+          sortedBoxes.splice(i, 1);
+        }
+      }
+    }
+  }
+
+  return selectedBoxes;
+}
+
+export function calculateIoU(box1, box2) {
+  const x1 = Math.max(box1.x1, box2.x1);
+  const y1 = Math.max(box1.y1, box2.y1);
+  const x2 = Math.min(box1.x2, box2.x2);
+  const y2 = Math.min(box1.y2, box2.y2);
+
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const area1 = (box1.x2 - box1.x1) * (box1.y2 - box1.y1);
+  const area2 = (box2.x2 - box2.x1) * (box2.y2 - box2.y1);
+  const union = area1 + area2 - intersection;
+
+  return union > 0 ? intersection / union : 0;
+}
+
+// Decode, threshold and suppress one raw output, boxes in model-input pixels. The decoder is
+// picked from the actual output shape, which also covers dynamic axes.
+export function decodeOutput(data, dims, names, settings) {
+  const boxes = detectOutputLayout(dims, names.length) === 'yolov8'
+    ? parseYOLOv8Output(data, dims, names, settings)
+    : parseYOLOv5Output(data, dims, names, settings);
+  return nonMaxSuppression(boxes, settings);
+}
+
+// All outputs of one inference as boxes in frame pixels. Each region is decoded and mapped
+// back, boxes cut off by an inner tile edge are dropped, and tiles are merged with a
+// cross-tile NMS.
+export function decodeDetections(outputs, names, settings) {
+  const boxes = outputs.flatMap(({ data, dims, letterbox, region }) => dropCutBoxes(
+    scaleBoxesToFrame(decodeOutput(data, dims, names, settings), letterbox),
+    region
+  ));
+  return outputs.length > 1 ? nonMaxSuppression(boxes, settings) : boxes;
+}
@@ -0,0 +1,11 @@
+// Save a generated file through a temporary link
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export const fileTimestamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
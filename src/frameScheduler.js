@@ -0,0 +1,29 @@
+// Decides when the next frame goes to the worker. The interval follows the target FPS but
+// never drops below how long the worker is actually busy per frame, so slow devices get
+// fewer requests instead of a backlog of dropped ones.
+
+const LATENCY_SMOOTHING = 0.2;
+
+export function createFrameScheduler(targetFps) {
+  let minInterval = 1000 / targetFps;
+  let busyTimeEma = 0;
+  let lastRun = -Infinity;
+
+  const interval = () => Math.max(minInterval, busyTimeEma);
+
+  return {
+    setTargetFps(fps) {
+      minInterval = 1000 / fps;
+    },
+    // Worker time per frame (preprocess + run), as reported with each result
+    recordBusyTime(ms) {
+      busyTimeEma = busyTimeEma === 0 ? ms : busyTimeEma + (ms - busyTimeEma) * LATENCY_SMOOTHING;
+    },
+    shouldRun(now) {
+      if (now - lastRun < interval()) return false;
+      lastRun = now;
+      return true;
+    },
+    interval
+  };
+}
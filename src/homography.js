@@ -0,0 +1,39 @@
+import { solveLinear } from './linalg';
+
+// Planar homography from four point correspondences (direct linear transform with h33 = 1)
+
+// Maps each src[i] onto dst[i]; points are { x, y }. Returns a row-major 3x3 matrix or null
+// when the points are degenerate (three of them on a line).
+export function computeHomography(src, dst) {
+  const matrix = [];
+  const vector = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = src[i];
+    const { x: u, y: v } = dst[i];
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    vector.push(u);
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    vector.push(v);
+  }
+  const h = solveLinear(matrix, vector);
+  return h && [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]];
+}
+
+export function applyHomography(H, { x, y }) {
+  const w = H[2][0] * x + H[2][1] * y + H[2][2];
+  return {
+    x: (H[0][0] * x + H[0][1] * y + H[0][2]) / w,
+    y: (H[1][0] * x + H[1][1] * y + H[1][2]) / w
+  };
+}
+
+export function invertHomography(H) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = H;
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+    [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+    [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+  ];
+}
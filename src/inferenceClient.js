@@ -0,0 +1,163 @@
+// Promise-based client for onnxWorker.js. Every request carries an id, the worker answers
+// each one exactly once ('loaded', 'inference', 'dropped' or 'error'), and requests that
+// never get an answer time out. A crashed or hung worker is replaced and the model reloaded.
+
+const LOAD_TIMEOUT_MS = 60000;
+const INFER_TIMEOUT_MS = 10000;
+const MAX_CONSECUTIVE_RESTARTS = 3;
+
+const wallClock = () => performance.timeOrigin + performance.now();
+
+export function createInferenceClient({
+  onModelLoaded = () => {},
+  onModelError = () => {},
+  onClassifierLoaded = () => {},
+  onClassifierError = () => {},
+  onRestart = () => {},
+  onStatsChange = () => {},
+  inferTimeoutMs = INFER_TIMEOUT_MS
+} = {}) {
+  let worker = null;
+  let nextId = 1;
+  let modelUrl = null;
+  let classifierUrl = null;
+  let consecutiveRestarts = 0;
+  let terminated = false;
+  const pending = new Map();
+  const stats = { completed: 0, dropped: 0, timedOut: 0, failed: 0, restarts: 0 };
+
+  const reportStats = () => onStatsChange({ ...stats });
+
+  const startWorker = () => {
+    worker = new Worker(new URL('./onnxWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = (e) => {
+      e.preventDefault();
+      restart(`Worker crashed: ${e.message || 'unknown error'}`);
+    };
+    worker.onmessageerror = () => restart('Worker sent an unreadable message');
+  };
+
+  const settle = (id) => {
+    const entry = pending.get(id);
+    if (!entry) return null;
+    clearTimeout(entry.timer);
+    pending.delete(id);
+    return entry;
+  };
+
+  const rejectAll = (reason) => {
+    for (const id of [...pending.keys()]) {
+      settle(id).reject(new Error(reason));
+    }
+  };
+
+  function handleMessage(e) {
+    const { type, id } = e.data;
+    const entry = settle(id);
+    if (!entry) return; // Already timed out or rejected by a restart
+
+    if (type === 'dropped') {
+      stats.dropped++;
+      reportStats();
+      entry.resolve({ dropped: true, reason: e.data.reason });
+    } else if (type === 'error') {
+      if (entry.type === 'infer') {
+        stats.failed++;
+        reportStats();
+      }
+      entry.reject(new Error(e.data.message));
+    } else {
+      if (entry.type === 'infer') {
+        stats.completed++;
+        reportStats();
+        const { timings } = e.data;
+        // Message passing both ways; the clocks are comparable via performance.timeOrigin
+        const inbound = timings.receivedAt - timings.sentAt;
+        const outbound = wallClock() - timings.postedAt;
+        timings.transfer = (inbound + outbound).toFixed(1);
+      }
+      entry.resolve(e.data);
+    }
+  }
+
+  function request(type, payload, transfer = [], timeoutMs) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        if (!settle(id)) return;
+        if (type === 'infer') stats.timedOut++;
+        reportStats();
+        reject(new Error(`${type} request timed out after ${timeoutMs} ms`));
+        // The worker cannot cancel a running session, so assume it is wedged
+        restart(`Worker did not answer ${type} within ${timeoutMs} ms`);
+      }, timeoutMs);
+      pending.set(id, { type, resolve, reject, timer });
+      worker.postMessage({ type, id, ...payload }, transfer);
+    });
+  }
+
+  function loadModel(url) {
+    modelUrl = url;
+    request('loadModel', { modelUrl: url }, [], LOAD_TIMEOUT_MS)
+      .then(({ modelInfo }) => {
+        consecutiveRestarts = 0;
+        onModelLoaded(modelInfo);
+      })
+      .catch(err => {
+        if (!terminated) onModelError(err);
+      });
+  }
+
+  // Optional second-stage classifier; null unloads it
+  function loadClassifier(url) {
+    classifierUrl = url;
+    request('loadClassifier', { modelUrl: url }, [], LOAD_TIMEOUT_MS)
+      .then(({ modelInfo }) => onClassifierLoaded(modelInfo))
+      .catch(err => {
+        if (!terminated) onClassifierError(err);
+      });
+  }
+
+  function restart(reason) {
+    if (terminated) return;
+    worker.terminate();
+    rejectAll(reason);
+    stats.restarts++;
+    reportStats();
+
+    if (consecutiveRestarts >= MAX_CONSECUTIVE_RESTARTS) {
+      terminated = true;
+      onModelError(new Error(`${reason} (gave up after ${MAX_CONSECUTIVE_RESTARTS} restarts)`));
+      return;
+    }
+    consecutiveRestarts++;
+    onRestart(reason);
+    startWorker();
+    if (modelUrl) loadModel(modelUrl);
+    if (classifierUrl) loadClassifier(classifierUrl);
+  }
+
+  startWorker();
+
+  return {
+    loadModel,
+    loadClassifier,
+    // Takes ownership of the ImageBitmap. Resolves with the worker's 'inference' message
+    // (one output per region, boxes in letterboxed model space plus the letterbox to undo
+    // it), or { dropped: true } when a newer frame replaced it. Without regions the whole
+    // frame is one region; each region gets the full timeout. With decode ({ names, settings })
+    // the message also carries the decoded detections with their ring edge points, and with a
+    // cascade their classification too.
+    infer(frame, inputSize, { regions = null, decode = null, cascade = null } = {}) {
+      const timeoutMs = inferTimeoutMs * (regions ? regions.length : 1) * (cascade ? 2 : 1);
+      return request('infer', { frame, inputSize, regions, decode, cascade, sentAt: wallClock() }, [frame], timeoutMs);
+    },
+    getStats: () => ({ ...stats }),
+    terminate() {
+      terminated = true;
+      rejectAll('Inference client terminated');
+      worker.terminate();
+    }
+  };
+}
@@ -0,0 +1,118 @@
+import { putRecord, getAllRecords, clearStore } from './storage';
+import { createZip } from './zip';
+import { ringDimensions } from './measurement';
+import { matchSize, combinedVerdict } from './sizeStandards';
+
+// One record per finalised part, kept in IndexedDB so the log survives reloads
+
+const STORE = 'inspections';
+const CROP_MARGIN = 0.1;
+const CROP_QUALITY = 0.85;
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'trackId', 'verdict', 'defectClass', 'confidence', 'sizeCode', 'sizeInTolerance', 'diameterMM', 'diameterSpreadMM',
+  'innerDiameterMM', 'crossSectionMM', 'ovality', 'pixelsPerMM', 'referenceSizeMM', 'source', 'lotNumber', 'crop'
+];
+
+export const cropFileName = (record) => `crops/part-${record.id}.jpg`;
+
+// Copy a box (with a small margin) out of the frame canvas; converted to JPEG only when logged
+export function cropFromCanvas(canvas, box) {
+  const marginX = box.width * CROP_MARGIN;
+  const marginY = box.height * CROP_MARGIN;
+  const x = Math.max(0, Math.floor(box.x1 - marginX));
+  const y = Math.max(0, Math.floor(box.y1 - marginY));
+  const width = Math.min(canvas.width, Math.ceil(box.x2 + marginX)) - x;
+  const height = Math.min(canvas.height, Math.ceil(box.y2 + marginY)) - y;
+  if (width <= 0 || height <= 0) return null;
+
+  const crop = document.createElement('canvas');
+  crop.width = width;
+  crop.height = height;
+  crop.getContext('2d').drawImage(canvas, x, y, width, height, 0, 0, width, height);
+  return crop;
+}
+
+const canvasToJpeg = (canvas) => new Promise(resolve => {
+  if (!canvas) {
+    resolve(null);
+    return;
+  }
+  canvas.toBlob(resolve, 'image/jpeg', CROP_QUALITY);
+});
+
+// verdict combines the model's class with the size check; defectClass is the model's class alone
+export async function logInspection({ track, pixelsPerMM, referenceSize, sizes = [], source, lotNumber = null }) {
+  const dimensions = ringDimensions(track.measurements, pixelsPerMM);
+  const { od: diameter, id: innerDiameter, cs: crossSection, ovality } = dimensions;
+  const sizeMatch = matchSize(sizes, dimensions);
+  const record = {
+    timestamp: new Date().toISOString(),
+    trackId: track.id,
+    verdict: combinedVerdict(track.label, sizeMatch),
+    defectClass: track.label,
+    confidence: track.confidence,
+    sizeCode: sizeMatch ? sizeMatch.size.code : null,
+    sizeInTolerance: sizeMatch ? sizeMatch.withinTolerance : null,
+    diameterMM: diameter ? diameter.mean : null,
+    diameterSpreadMM: diameter ? diameter.std : null,
+    innerDiameterMM: innerDiameter ? innerDiameter.mean : null,
+    crossSectionMM: crossSection ? crossSection.mean : null,
+    ovality: ovality ? ovality.mean : null,
+    calibration: pixelsPerMM ? { pixelsPerMM, referenceSizeMM: referenceSize } : null,
+    source,
+    lotNumber,
+    crop: await canvasToJpeg(track.crop)
+  };
+  const id = await putRecord(STORE, record);
+  return { ...record, id };
+}
+
+export async function loadInspections() {
+  const records = await getAllRecords(STORE);
+  return records.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+export const clearInspections = () => clearStore(STORE);
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const flatten = (record) => ({
+  id: record.id,
+  timestamp: record.timestamp,
+  trackId: record.trackId,
+  verdict: record.verdict,
+  defectClass: record.defectClass,
+  confidence: record.confidence?.toFixed(4),
+  sizeCode: record.sizeCode,
+  sizeInTolerance: record.sizeInTolerance,
+  diameterMM: record.diameterMM?.toFixed(3),
+  diameterSpreadMM: record.diameterSpreadMM?.toFixed(3),
+  innerDiameterMM: record.innerDiameterMM?.toFixed(3),
+  crossSectionMM: record.crossSectionMM?.toFixed(3),
+  ovality: record.ovality?.toFixed(4),
+  pixelsPerMM: record.calibration?.pixelsPerMM?.toFixed(4),
+  referenceSizeMM: record.calibration?.referenceSizeMM,
+  source: record.source,
+  lotNumber: record.lotNumber,
+  crop: record.crop ? cropFileName(record) : ''
+});
+
+export function inspectionsToCsv(records) {
+  const rows = records.map(flatten).map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+// records.json plus every crop as crops/part-<id>.jpg
+export function inspectionsToZip(records) {
+  const json = records.map(({ crop, ...rest }) => ({ ...rest, crop: crop ? cropFileName(rest) : null }));
+  return createZip([
+    { name: 'records.json', data: JSON.stringify(json, null, 2) },
+    { name: 'records.csv', data: inspectionsToCsv(records) },
+    ...records.filter(record => record.crop).map(record => ({ name: cropFileName(record), data: record.crop }))
+  ]);
+}
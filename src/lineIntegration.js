@@ -0,0 +1,266 @@
+import { putRecord, getAllRecords, deleteRecord } from './storage';
+
+// Publishes final part verdicts to the line (reject gate, MES) over a WebSocket or an HTTP
+// webhook, and takes simple commands back. Every message goes through an outbox in
+// IndexedDB first, so nothing is lost while the endpoint is down or the page reloads.
+//
+// WebSocket: the server answers each message with { type: 'ack', messageId } and may send
+// { type: 'command', command, ... } at any time. Webhook: each message is POSTed as JSON; a
+// 2xx answer is the ack, and its JSON body may carry { commands: [...] }. With nothing to
+// send, a { type: 'poll' } is POSTed every few seconds so commands still get through.
+
+const STORE = 'outbox';
+const SETTINGS_KEY = 'integrationSettings';
+const ACK_TIMEOUT_MS = 5000;
+const CONNECT_TIMEOUT_MS = 5000;
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30000;
+const COMMAND_POLL_MS = 5000;
+
+export const TRANSPORTS = [['websocket', 'WebSocket'], ['webhook', 'HTTP webhook']];
+
+export const DEFAULT_INTEGRATION_SETTINGS = {
+  enabled: false,
+  transport: 'websocket',
+  websocketUrl: 'ws://localhost:8787',
+  webhookUrl: 'http://localhost:8787/verdicts',
+  stationId: 'station-1'
+};
+
+export function loadIntegrationSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return saved ? { ...DEFAULT_INTEGRATION_SETTINGS, ...saved } : DEFAULT_INTEGRATION_SETTINGS;
+  } catch {
+    return DEFAULT_INTEGRATION_SETTINGS;
+  }
+}
+
+export function saveIntegrationSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// What the line gets for one finished part, taken from its inspection record
+export const verdictMessage = (record) => ({
+  type: 'verdict',
+  partId: record.id,
+  trackId: record.trackId,
+  timestamp: record.timestamp,
+  verdict: record.verdict,
+  defectClass: record.defectClass,
+  confidence: record.confidence,
+  diameterMM: record.diameterMM,
+  innerDiameterMM: record.innerDiameterMM,
+  crossSectionMM: record.crossSectionMM,
+  sizeCode: record.sizeCode,
+  sizeInTolerance: record.sizeInTolerance,
+  lotNumber: record.lotNumber ?? null
+});
+
+export function createLinePublisher({ onCommand = () => {}, onStatusChange = () => {} } = {}) {
+  let settings = DEFAULT_INTEGRATION_SETTINGS;
+  let socket = null;
+  let socketReady = null;
+  let connectTimer = null;
+  let flushing = false;
+  let flushAgain = false;
+  let retryTimer = null;
+  let retryDelay = RETRY_MIN_MS;
+  let pollTimer = null;
+  let closed = false;
+  const pendingAcks = new Map();
+  const status = { connected: false, queued: 0, lastError: null, lastSentAt: null };
+
+  const reportStatus = (changes = {}) => {
+    Object.assign(status, changes);
+    onStatusChange({ ...status });
+  };
+
+  const refreshQueued = () => getAllRecords(STORE)
+    .then(records => reportStatus({ queued: records.length }))
+    .catch(() => {});
+
+  const handleCommands = (commands) => {
+    (commands || []).forEach(command => {
+      if (command && command.command) onCommand(command);
+    });
+  };
+
+  const closeSocket = () => {
+    clearTimeout(connectTimer);
+    connectTimer = null;
+    if (!socket) return;
+    socket.onopen = socket.onclose = socket.onerror = socket.onmessage = null;
+    socket.close();
+    socket = null;
+    socketReady = null;
+    pendingAcks.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Connection closed'));
+    });
+    pendingAcks.clear();
+    reportStatus({ connected: false });
+  };
+
+  // Resolves once the socket is open; a lost connection is retried by the next flush
+  const connect = () => {
+    if (socketReady) return socketReady;
+    socketReady = new Promise((resolve, reject) => {
+      socket = new WebSocket(settings.websocketUrl);
+      connectTimer = setTimeout(() => {
+        closeSocket();
+        reject(new Error(`No connection to ${settings.websocketUrl}`));
+      }, CONNECT_TIMEOUT_MS);
+
+      socket.onopen = () => {
+        clearTimeout(connectTimer);
+        connectTimer = null;
+        reportStatus({ connected: true, lastError: null });
+        resolve(socket);
+      };
+      socket.onerror = () => {
+        // onclose follows with the details that matter
+      };
+      socket.onclose = () => {
+        closeSocket();
+        reject(new Error(`Connection to ${settings.websocketUrl} closed`));
+        scheduleRetry();
+      };
+      socket.onmessage = (e) => {
+        let message;
+        try {
+          message = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+        if (message.type === 'ack') {
+          const pending = pendingAcks.get(message.messageId);
+          if (!pending) return;
+          clearTimeout(pending.timer);
+          pendingAcks.delete(message.messageId);
+          pending.resolve();
+        } else if (message.type === 'command') {
+          handleCommands([message]);
+        }
+      };
+    });
+    socketReady.catch(() => {});
+    return socketReady;
+  };
+
+  async function sendOverSocket(message) {
+    const open = await connect();
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingAcks.delete(message.messageId);
+        reject(new Error('No acknowledgement from the line'));
+      }, ACK_TIMEOUT_MS);
+      pendingAcks.set(message.messageId, { resolve, reject, timer });
+      open.send(JSON.stringify(message));
+    });
+  }
+
+  async function sendOverWebhook(message) {
+    const response = await fetch(settings.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) throw new Error(`Webhook answered HTTP ${response.status}`);
+    reportStatus({ connected: true });
+    const body = await response.json().catch(() => null);
+    handleCommands(body?.commands);
+  }
+
+  // A webhook line can only answer with commands, so ask while the outbox is idle
+  async function pollCommands() {
+    if (closed || flushing || !settings.enabled) return;
+    try {
+      await sendOverWebhook({ type: 'poll', stationId: settings.stationId, timestamp: new Date().toISOString() });
+    } catch (err) {
+      reportStatus({ connected: false, lastError: err.message });
+    }
+  }
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  function scheduleRetry() {
+    if (closed || retryTimer || !settings.enabled) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      flush();
+    }, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+  }
+
+  // Send the outbox oldest first; stop at the first failure and retry with backoff
+  async function flush() {
+    if (closed || !settings.enabled) return;
+    if (flushing) {
+      flushAgain = true;
+      return;
+    }
+    flushing = true;
+    try {
+      do {
+        flushAgain = false;
+        // The socket stays up even with nothing to send, as commands arrive over it
+        if (settings.transport === 'websocket') await connect();
+        const records = await getAllRecords(STORE);
+        for (const record of records) {
+          if (closed || !settings.enabled) return;
+          await (settings.transport === 'webhook' ? sendOverWebhook : sendOverSocket)(record.message);
+          await deleteRecord(STORE, record.seq);
+          retryDelay = RETRY_MIN_MS;
+          reportStatus({ lastSentAt: new Date().toISOString(), lastError: null });
+        }
+      } while (flushAgain);
+    } catch (err) {
+      reportStatus({ lastError: err.message, connected: settings.transport === 'websocket' && !!socket });
+      scheduleRetry();
+    } finally {
+      flushing = false;
+      refreshQueued();
+    }
+  }
+
+  const handleOnline = () => flush();
+  window.addEventListener('online', handleOnline);
+  refreshQueued();
+
+  return {
+    configure(nextSettings) {
+      settings = nextSettings;
+      closeSocket();
+      stopPolling();
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      retryDelay = RETRY_MIN_MS;
+      reportStatus({ lastError: null });
+      if (!settings.enabled) return;
+      if (settings.transport === 'webhook') pollTimer = setInterval(pollCommands, COMMAND_POLL_MS);
+      flush();
+    },
+    // Queue a message (stamped with the station and an id for the ack) and try to send it.
+    // Nothing is queued while the integration is off.
+    async publish(message) {
+      if (closed || !settings.enabled) return;
+      await putRecord(STORE, {
+        message: { ...message, messageId: crypto.randomUUID(), stationId: settings.stationId },
+        queuedAt: new Date().toISOString()
+      });
+      refreshQueued();
+      flush();
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      stopPolling();
+      window.removeEventListener('online', handleOnline);
+      closeSocket();
+    }
+  };
+}
@@ -0,0 +1,150 @@
+import { putRecord, getAllRecords } from './storage';
+
+// Lot inspection: the operator opens a lot (number, expected size, quantity, allowed defects
+// per class), counted parts accumulate into it, and the closed lot gets a printable report.
+// The open lot is stored after every part so a reload carries on where it was.
+
+const STORE = 'lots';
+export const WRONG_SIZE = 'WRONG_SIZE';
+export const UNSIZED = 'UNSIZED';
+
+export function createLot({ lotNumber, expectedSize, quantity, defectLimits, stationId }) {
+  return {
+    id: crypto.randomUUID(),
+    lotNumber,
+    // { catalogue, code, idMM, csMM } or null when any size is accepted
+    expectedSize,
+    quantity,
+    // Maximum allowed count per verdict, e.g. { TEAR: 0, SCAR: 2 }; missing means no limit
+    defectLimits,
+    stationId: stationId || null,
+    openedAt: new Date().toISOString(),
+    closedAt: null,
+    parts: []
+  };
+}
+
+export const saveLot = (lot) => putRecord(STORE, lot);
+
+export async function loadLots() {
+  const lots = await getAllRecords(STORE);
+  return lots.sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+}
+
+// Verdict of a good ring against the lot's expected size: another size is a mix-up, and one
+// that couldn't be sized (no calibration, no catalogue match) can't be confirmed either way
+function sizeVerdict(record, lot) {
+  if (!lot.expectedSize || record.verdict !== 'OK') return record.verdict;
+  if (record.sizeCode == null) return UNSIZED;
+  return record.sizeCode === lot.expectedSize.code ? record.verdict : WRONG_SIZE;
+}
+
+export function lotPart(record, lot) {
+  return {
+    recordId: record.id,
+    timestamp: record.timestamp,
+    verdict: sizeVerdict(record, lot),
+    defectClass: record.defectClass,
+    confidence: record.confidence,
+    sizeCode: record.sizeCode,
+    diameterMM: record.diameterMM
+  };
+}
+
+// Counts per verdict, limits breached so far, and whether the lot passes
+export function lotSummary(lot) {
+  const counts = {};
+  lot.parts.forEach(({ verdict }) => {
+    counts[verdict] = (counts[verdict] || 0) + 1;
+  });
+  const breaches = Object.entries(lot.defectLimits)
+    .filter(([verdict, limit]) => (counts[verdict] || 0) > limit)
+    .map(([verdict, limit]) => ({ verdict, count: counts[verdict], limit }));
+  const inspected = lot.parts.length;
+  return {
+    counts,
+    inspected,
+    good: counts.OK || 0,
+    defects: inspected - (counts.OK || 0),
+    breaches,
+    complete: inspected >= lot.quantity,
+    accepted: breaches.length === 0
+  };
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '–');
+
+// Self-contained report page, laid out for printing or saving as PDF from the browser
+export function lotReportHtml(lot) {
+  const summary = lotSummary(lot);
+  const verdicts = [...new Set([...Object.keys(summary.counts), ...Object.keys(lot.defectLimits)])]
+    .sort((a, b) => (a === 'OK' ? -1 : b === 'OK' ? 1 : a.localeCompare(b)));
+  const result = summary.accepted ? 'ACCEPTED' : 'REJECTED';
+  const shortfall = lot.quantity - summary.inspected;
+
+  const countRows = verdicts.map(verdict => {
+    const count = summary.counts[verdict] || 0;
+    const limit = lot.defectLimits[verdict];
+    const breached = limit !== undefined && count > limit;
+    return `<tr${breached ? ' class="breach"' : ''}><td>${escapeHtml(verdict)}</td><td>${count}</td>` +
+      `<td>${summary.inspected ? (count / summary.inspected * 100).toFixed(1) : '0.0'}%</td>` +
+      `<td>${limit === undefined ? '–' : limit}</td></tr>`;
+  }).join('\n');
+
+  const partRows = lot.parts.map((part, i) => `<tr${part.verdict === 'OK' ? '' : ' class="breach"'}>` +
+    `<td>${i + 1}</td><td>${escapeHtml(formatTime(part.timestamp))}</td><td>${escapeHtml(part.verdict)}</td>` +
+    `<td>${escapeHtml(part.defectClass)}</td><td>${part.confidence != null ? (part.confidence * 100).toFixed(1) + '%' : ''}</td>` +
+    `<td>${escapeHtml(part.sizeCode || '')}</td><td>${part.diameterMM != null ? part.diameterMM.toFixed(2) : ''}</td></tr>`
+  ).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Lot ${escapeHtml(lot.lotNumber)} inspection report</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 20mm; color: #000; }
+  h1 { margin-bottom: 0; }
+  table { border-collapse: collapse; margin-top: 10px; width: 100%; font-size: 12px; }
+  th, td { border: 1px solid #999; padding: 3px 6px; text-align: left; }
+  .result { font-size: 24px; font-weight: bold; color: ${summary.accepted ? 'green' : 'red'}; }
+  .breach td { color: #b00; }
+  dl { display: grid; grid-template-columns: max-content auto; gap: 2px 15px; }
+  dt { font-weight: bold; }
+  @media print { body { margin: 10mm; } button { display: none; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<button onclick="window.print()">Print / save as PDF</button>
+<h1>Lot ${escapeHtml(lot.lotNumber)}</h1>
+<p class="result">${result}</p>
+<dl>
+  <dt>Station</dt><dd>${escapeHtml(lot.stationId || '–')}</dd>
+  <dt>Opened</dt><dd>${escapeHtml(formatTime(lot.openedAt))}</dd>
+  <dt>Closed</dt><dd>${escapeHtml(formatTime(lot.closedAt))}</dd>
+  <dt>Expected size</dt><dd>${lot.expectedSize
+    ? `${escapeHtml(lot.expectedSize.code)} (ID ${lot.expectedSize.idMM.toFixed(2)} × CS ${lot.expectedSize.csMM.toFixed(2)} mm)`
+    : 'any'}</dd>
+  <dt>Quantity</dt><dd>${summary.inspected} inspected of ${lot.quantity}${shortfall > 0 ? ` (${shortfall} short)` : ''}</dd>
+  <dt>Good / defective</dt><dd>${summary.good} / ${summary.defects}</dd>
+</dl>
+${summary.breaches.length ? `<p>Limits exceeded: ${summary.breaches
+    .map(({ verdict, count, limit }) => `${escapeHtml(verdict)} ${count} &gt; ${limit}`).join(', ')}</p>` : ''}
+<h2>Counts</h2>
+<table>
+<tr><th>Verdict</th><th>Count</th><th>Share</th><th>Allowed</th></tr>
+${countRows}
+</table>
+<h2>Parts</h2>
+<table>
+<tr><th>#</th><th>Time</th><th>Verdict</th><th>Class</th><th>Confidence</th><th>Size</th><th>Ø (mm)</th></tr>
+${partRows}
+</table>
+</body>
+</html>
+`;
+}
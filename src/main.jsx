@@ -10,3 +10,12 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Register the offline service worker (only emitted by production builds)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.warn('Service worker registration failed:', err);
+    });
+  });
+}
@@ -0,0 +1,94 @@
+import { applyHomography, computeHomography, invertHomography } from './homography';
+import { measureRing } from './ringAnalysis';
+
+// Size measurement for detected rings, in image pixels and, when a reference plane is
+// calibrated, directly in millimetres on that plane.
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// corners: image points clicked in order top-left, top-right, bottom-right, bottom-left
+export function createPlane(corners, widthMM, heightMM) {
+  const planeCorners = [
+    { x: 0, y: 0 },
+    { x: widthMM, y: 0 },
+    { x: widthMM, y: heightMM },
+    { x: 0, y: heightMM }
+  ];
+  const homography = computeHomography(corners, planeCorners);
+  const inverse = homography && invertHomography(homography);
+  if (!inverse) return null;
+  return { corners, widthMM, heightMM, homography, inverse };
+}
+
+// Local scale at an image point, for showing an equivalent px/mm figure
+export function planePixelsPerMM(plane, point) {
+  const origin = applyHomography(plane.homography, point);
+  const right = applyHomography(plane.homography, { x: point.x + 1, y: point.y });
+  const down = applyHomography(plane.homography, { x: point.x, y: point.y + 1 });
+  return 2 / (distance(origin, right) + distance(origin, down));
+}
+
+// edges: inner/outer contour points from findRingEdges, when the ring could be analysed
+export function measureDetection(box, plane, edges) {
+  const measurements = { diameterPx: (box.width + box.height) / 2 };
+  const ring = edges && measureRing(edges);
+  if (ring) {
+    measurements.odPx = ring.od;
+    measurements.idPx = ring.id;
+    measurements.csPx = ring.cs;
+    measurements.ovality = ring.ovality;
+  }
+  if (plane) {
+    // Map the box's edge midpoints onto the plane and average the two spans
+    const cx = (box.x1 + box.x2) / 2;
+    const cy = (box.y1 + box.y2) / 2;
+    const [left, right, top, bottom] = [
+      { x: box.x1, y: cy }, { x: box.x2, y: cy }, { x: cx, y: box.y1 }, { x: cx, y: box.y2 }
+    ].map(point => applyHomography(plane.homography, point));
+    measurements.diameterMM = (distance(left, right) + distance(top, bottom)) / 2;
+
+    // Fit the contours on the plane itself so perspective doesn't show up as ovality
+    const toPlane = point => applyHomography(plane.homography, point);
+    const planeRing = edges && measureRing({ outer: edges.outer.map(toPlane), inner: edges.inner.map(toPlane) });
+    if (planeRing) {
+      measurements.odMM = planeRing.od;
+      measurements.idMM = planeRing.id;
+      measurements.csMM = planeRing.cs;
+      measurements.ovality = planeRing.ovality;
+    }
+  }
+  return measurements;
+}
+
+// Distance between two image points in mm: on the rectified plane when there is one,
+// otherwise over the scale calibration. Null when uncalibrated.
+export function pointDistanceMM(a, b, plane, pixelsPerMM) {
+  if (plane) return distance(applyHomography(plane.homography, a), applyHomography(plane.homography, b));
+  if (!pixelsPerMM || isNaN(pixelsPerMM)) return null;
+  return distance(a, b) / pixelsPerMM;
+}
+
+// Smoothed size of a track in mm ({ mean, std, n }) for a measurement name ('od', 'diameter',
+// ...): rectified plane measurement when there is one, otherwise the pixel value over the
+// scale calibration. Null when uncalibrated or not measured.
+export function physicalSize(measurements, name, pixelsPerMM) {
+  if (measurements[`${name}MM`]) return measurements[`${name}MM`];
+  const size = measurements[`${name}Px`];
+  if (!size || !pixelsPerMM || isNaN(pixelsPerMM)) return null;
+  return { mean: size.mean / pixelsPerMM, std: size.std / pixelsPerMM, n: size.n };
+}
+
+// Outer diameter from the fitted contour, falling back to the box size
+function physicalDiameter(measurements, pixelsPerMM) {
+  return physicalSize(measurements, 'od', pixelsPerMM) || physicalSize(measurements, 'diameter', pixelsPerMM);
+}
+
+// OD/ID/CS in mm plus ovality (unitless) for a track; missing entries are null
+export function ringDimensions(measurements, pixelsPerMM) {
+  return {
+    od: physicalDiameter(measurements, pixelsPerMM),
+    id: physicalSize(measurements, 'id', pixelsPerMM),
+    cs: physicalSize(measurements, 'cs', pixelsPerMM),
+    ovality: measurements.ovality || null
+  };
+}
@@ -0,0 +1,103 @@
+// Model information read straight from the ONNX file, shared by the worker and the batch CLI
+
+// Minimal protobuf reader, just enough to pull metadata and output shapes out of an ONNX ModelProto
+function readVarint(bytes, pos) {
+  let value = 0;
+  let shift = 0;
+  let byte;
+  do {
+    byte = bytes[pos++];
+    value += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return [value, pos];
+}
+
+function readFields(bytes, start = 0, end = bytes.length) {
+  const fields = [];
+  let pos = start;
+  while (pos < end) {
+    let key;
+    [key, pos] = readVarint(bytes, pos);
+    const field = Math.floor(key / 8);
+    const wireType = key & 7;
+    if (wireType === 0) {
+      let value;
+      [value, pos] = readVarint(bytes, pos);
+      fields.push({ field, value });
+    } else if (wireType === 2) {
+      let length;
+      [length, pos] = readVarint(bytes, pos);
+      fields.push({ field, start: pos, end: pos + length });
+      pos += length;
+    } else if (wireType === 1) {
+      pos += 8;
+    } else if (wireType === 5) {
+      pos += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+  return fields;
+}
+
+const textDecoder = new TextDecoder();
+const readString = (bytes, { start, end }) => textDecoder.decode(bytes.subarray(start, end));
+
+function readOutputInfo(bytes, valueInfo) {
+  const output = { name: '', dims: [] };
+  for (const f of readFields(bytes, valueInfo.start, valueInfo.end)) {
+    if (f.field === 1) output.name = readString(bytes, f);
+    if (f.field !== 2) continue;
+    // TypeProto.tensor_type -> TypeProto.Tensor.shape -> TensorShapeProto.dim
+    const tensorType = readFields(bytes, f.start, f.end).find(t => t.field === 1);
+    const shape = tensorType && readFields(bytes, tensorType.start, tensorType.end).find(t => t.field === 2);
+    if (!shape) continue;
+    output.dims = readFields(bytes, shape.start, shape.end)
+      .filter(d => d.field === 1)
+      .map(d => {
+        const dim = readFields(bytes, d.start, d.end)[0];
+        if (!dim) return null;
+        return dim.field === 1 ? dim.value : readString(bytes, dim);
+      });
+  }
+  return output;
+}
+
+// Output shapes and metadata_props of a serialized model, without creating a session
+export function readModelInfo(bytes) {
+  const metadata = {};
+  const outputs = [];
+  for (const f of readFields(bytes)) {
+    if (f.field === 14) {
+      // metadata_props: StringStringEntryProto { key = 1, value = 2 }
+      let key = '';
+      let value = '';
+      for (const entry of readFields(bytes, f.start, f.end)) {
+        if (entry.field === 1) key = readString(bytes, entry);
+        if (entry.field === 2) value = readString(bytes, entry);
+      }
+      metadata[key] = value;
+    } else if (f.field === 7) {
+      for (const g of readFields(bytes, f.start, f.end)) {
+        if (g.field === 12) outputs.push(readOutputInfo(bytes, g));
+      }
+    }
+  }
+  return { metadata, outputs };
+}
+
+// Class list of the bundled model, for exports without names metadata
+export const DEFAULT_CLASS_NAMES = ['BLOCK', 'INNER', 'OK', 'OUTER', 'SCAR', 'TEAR'];
+
+// Ultralytics stores class names as a Python dict literal, e.g. "{0: 'BLOCK', 1: 'INNER'}"
+export function parseClassNames(namesMeta) {
+  if (!namesMeta) return null;
+  const names = [];
+  const pattern = /(\d+)\s*:\s*(['"])(.*?)\2/g;
+  let match;
+  while ((match = pattern.exec(namesMeta)) !== null) {
+    names[Number(match[1])] = match[3];
+  }
+  return names.length ? names : null;
+}
@@ -1,116 +1,342 @@
-importScripts('https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/ort.min.js');
+import * as ort from 'onnxruntime-web/wasm';
+import wasmUrl from 'onnxruntime-web/ort-wasm-simd-threaded.wasm?url';
+import { LETTERBOX_GREY, letterboxGeometry, rgbaToTensor, decodeDetections } from './detectionPipeline';
+import { readModelInfo, parseClassNames } from './onnxModelInfo';
+import { classifierInputSize, topClass, cropRegion } from './cascade';
+import { findRingEdges } from './ringAnalysis';
 
-// Mobile-optimized configuration
-ort.env.wasm.wasmPaths = 'https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/';
+// Runtime and WASM binary are served from the build output so the station works offline
+ort.env.wasm.wasmPaths = { wasm: wasmUrl };
 ort.env.backendHint = 'wasm'; // Force WASM for better mobile compatibility
 ort.env.wasm.simd = true;
 //ort.env.wasm.numThreads = Math.min(navigator.hardwareConcurrency || 2, 4); // Limit threads for mobile
 ort.env.wasm.numThreads = 4;
 
 let session = null;
+// Optional second-stage crop classifier: { session, names, inputSize }
+let classifier = null;
 let processing = false;
+// At most one frame waits behind the running one; a newer frame replaces it (latest-frame-wins)
+let queuedRequest = null;
 
-self.onmessage = async (e) => {
-    const { type, modelUrl, tensorData, dims } = e.data;
+const LETTERBOX_FILL = `rgb(${LETTERBOX_GREY}, ${LETTERBOX_GREY}, ${LETTERBOX_GREY})`;
 
-    if (type === 'loadModel') {
-        try {
-            console.log('[Worker] Loading model...');
-            const startLoad = performance.now();
-
-            // Mobile-optimized session options
-            const sessionOptions = {
-                executionProviders: ['wasm'],
-                graphOptimizationLevel: 'all',
-                enableCpuMemArena: true,
-                enableMemPattern: true,
-                executionMode: 'sequential', // Better for mobile
-                enableProfiling: false
-            };
-
-            // Try to load with and without external data for mobile compatibility
-            try {
-                session = await ort.InferenceSession.create(modelUrl, sessionOptions);
-            } catch (firstError) {
-                console.warn('[Worker] First load attempt failed, trying fallback...');
-                try {
-                    sessionOptions.externalData = false;
-                    session = await ort.InferenceSession.create(modelUrl, sessionOptions);
-                } catch (secondError) {
-                    throw new Error(`Failed to load model: ${firstError.message} and ${secondError.message}`);
-                }
-            }
+// Reused across frames so preprocessing allocates nothing per inference
+let preprocessCanvas = null;
+let preprocessCtx = null;
+let inputBuffer = null;
+let cropCanvas = null;
+let cropCtx = null;
+let cropBuffer = null;
 
-            const endLoad = performance.now();
-            console.log(`[Worker] Model loaded in ${(endLoad - startLoad).toFixed(1)} ms`);
-            console.log('[Worker] Backend:', ort.env.backendHint);
-            console.log('[Worker] Input names:', session.inputNames);
-            console.log('[Worker] Output names:', session.outputNames);
+// Wall-clock time comparable across the main thread and the worker
+const wallClock = () => performance.timeOrigin + performance.now();
 
-            self.postMessage({ type: 'loaded' });
-        } catch (err) {
-            console.error('[Worker] Load error:', err);
-            self.postMessage({ 
-                type: 'error', 
-                message: `Model load failed: ${err.message}` 
-            });
+// Scale the frame (or one region of it) to fit the model input keeping its aspect ratio,
+// pad the rest, and write it as a normalised CHW float tensor
+function preprocess(frame, inputSize, region) {
+    if (!preprocessCanvas || preprocessCanvas.width !== inputSize) {
+        preprocessCanvas = new OffscreenCanvas(inputSize, inputSize);
+        preprocessCtx = preprocessCanvas.getContext('2d', { willReadFrequently: true });
+        inputBuffer = new Float32Array(3 * inputSize * inputSize);
+    }
+
+    const { x, y, width, height } = region;
+    const letterbox = letterboxGeometry(width, height, inputSize);
+    preprocessCtx.fillStyle = LETTERBOX_FILL;
+    preprocessCtx.fillRect(0, 0, inputSize, inputSize);
+    preprocessCtx.drawImage(frame, x, y, width, height, letterbox.padX, letterbox.padY, letterbox.scaledWidth, letterbox.scaledHeight);
+    rgbaToTensor(preprocessCtx.getImageData(0, 0, inputSize, inputSize).data, inputSize, inputBuffer);
+
+    const { scale, padX, padY, frameWidth, frameHeight } = letterbox;
+    return { scale, padX, padY, frameWidth, frameHeight, offsetX: x, offsetY: y };
+}
+
+// A crop around one detected box, resized to the classifier input; the parts of the
+// square that fall outside the frame stay grey
+function preprocessCrop(frame, box, margin, inputSize) {
+    if (!cropCanvas || cropCanvas.width !== inputSize) {
+        cropCanvas = new OffscreenCanvas(inputSize, inputSize);
+        cropCtx = cropCanvas.getContext('2d', { willReadFrequently: true });
+        cropBuffer = new Float32Array(3 * inputSize * inputSize);
+    }
+
+    const crop = cropRegion(box, margin);
+    const scale = inputSize / crop.width;
+    const x1 = Math.max(0, crop.x);
+    const y1 = Math.max(0, crop.y);
+    const x2 = Math.min(frame.width, crop.x + crop.width);
+    const y2 = Math.min(frame.height, crop.y + crop.height);
+    cropCtx.fillStyle = LETTERBOX_FILL;
+    cropCtx.fillRect(0, 0, inputSize, inputSize);
+    if (x2 > x1 && y2 > y1) {
+        cropCtx.drawImage(
+            frame, x1, y1, x2 - x1, y2 - y1,
+            (x1 - crop.x) * scale, (y1 - crop.y) * scale, (x2 - x1) * scale, (y2 - y1) * scale
+        );
+    }
+    rgbaToTensor(cropCtx.getImageData(0, 0, inputSize, inputSize).data, inputSize, cropBuffer);
+}
+
+// Fetch a model and create its session; metadata is read from the file when possible
+async function createSession(modelUrl) {
+    // Mobile-optimized session options
+    const sessionOptions = {
+        executionProviders: ['wasm'],
+        graphOptimizationLevel: 'all',
+        enableCpuMemArena: true,
+        enableMemPattern: true,
+        executionMode: 'sequential', // Better for mobile
+        enableProfiling: false
+    };
+
+    const response = await fetch(modelUrl);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} fetching ${modelUrl}`);
+    }
+    const modelBytes = new Uint8Array(await response.arrayBuffer());
+
+    let modelInfo = { metadata: {}, outputs: [] };
+    try {
+        modelInfo = readModelInfo(modelBytes);
+    } catch (infoError) {
+        console.warn('[Worker] Could not read model metadata:', infoError);
+    }
+
+    // Try to load with and without external data for mobile compatibility
+    try {
+        return { session: await ort.InferenceSession.create(modelBytes, sessionOptions), modelInfo };
+    } catch (firstError) {
+        console.warn('[Worker] First load attempt failed, trying fallback...');
+        try {
+            sessionOptions.externalData = false;
+            return { session: await ort.InferenceSession.create(modelBytes, sessionOptions), modelInfo };
+        } catch (secondError) {
+            throw new Error(`Failed to load model: ${firstError.message} and ${secondError.message}`);
         }
     }
+}
 
-    if (type === 'infer') {
-        if (!session) {
-            self.postMessage({ 
-                type: 'error', 
-                message: 'Model not loaded' 
-            });
+async function loadModel({ id, modelUrl }) {
+    try {
+        console.log('[Worker] Loading model...');
+        const startLoad = performance.now();
+
+        let modelInfo;
+        ({ session, modelInfo } = await createSession(modelUrl));
+
+        const endLoad = performance.now();
+        console.log(`[Worker] Model loaded in ${(endLoad - startLoad).toFixed(1)} ms`);
+        console.log('[Worker] Backend:', ort.env.backendHint);
+        console.log('[Worker] Input names:', session.inputNames);
+        console.log('[Worker] Output names:', session.outputNames);
+        console.log('[Worker] Output shapes:', modelInfo.outputs);
+
+        self.postMessage({
+            type: 'loaded',
+            id,
+            modelInfo: {
+                inputNames: session.inputNames,
+                outputNames: session.outputNames,
+                outputs: modelInfo.outputs,
+                metadata: modelInfo.metadata
+            }
+        });
+    } catch (err) {
+        console.error('[Worker] Load error:', err);
+        self.postMessage({ 
+            type: 'error', 
+            id,
+            message: `Model load failed: ${err.message}` 
+        });
+    }
+}
+
+// A null modelUrl unloads the classifier
+async function loadClassifier({ id, modelUrl }) {
+    try {
+        if (!modelUrl) {
+            classifier = null;
+            self.postMessage({ type: 'loaded', id, modelInfo: null });
             return;
         }
 
-        if (processing) {
-            return; // Skip if already processing
+        const loaded = await createSession(modelUrl);
+        const { metadata } = loaded.modelInfo;
+        if (metadata.task && metadata.task !== 'classify') {
+            throw new Error(`${modelUrl} is a ${metadata.task} model, not a classifier`);
+        }
+        const names = parseClassNames(metadata.names);
+        if (!names) {
+            throw new Error(`${modelUrl} has no class names in its metadata`);
         }
+        classifier = { session: loaded.session, names, inputSize: classifierInputSize(metadata) };
+        console.log(`[Worker] Classifier loaded, ${names.length} classes at ${classifier.inputSize}px`);
 
-        processing = true;
+        self.postMessage({
+            type: 'loaded',
+            id,
+            modelInfo: { names, inputSize: classifier.inputSize, metadata }
+        });
+    } catch (err) {
+        console.error('[Worker] Classifier load error:', err);
+        classifier = null;
+        self.postMessage({
+            type: 'error',
+            id,
+            message: `Classifier load failed: ${err.message}`
+        });
+    }
+}
 
-        try {
-            const startInfer = performance.now();
+// Decode the detections here, while the full-resolution frame is still open, and find each
+// ring's inner and outer edge points on it. Returns the boxes in frame pixels.
+function analyseDetections(frame, outputs, { names, settings }) {
+    const detections = decodeDetections(outputs, names, settings);
+    detections.forEach(detection => {
+        detection.edges = findRingEdges(frame, detection);
+    });
+    return detections;
+}
 
-            // Create tensor with mobile-optimized approach
-            const tensor = new ort.Tensor('float32', new Float32Array(tensorData), dims);
-            
-            // Use dynamic input name from session
-            const inputName = session.inputNames[0];
-            const feeds = { [inputName]: tensor };
+// Second stage: classify a crop of each detection, adding its classification
+async function classifyDetections(frame, detections, { cropMargin }) {
+    // A classifier swapped in meanwhile only applies from the next frame
+    const stage = classifier;
+    const inputName = stage.session.inputNames[0];
+    const outputKey = stage.session.outputNames[0];
 
-            const results = await session.run(feeds);
-            const endInfer = performance.now();
-            const inferTime = (endInfer - startInfer).toFixed(1);
+    for (const detection of detections) {
+        preprocessCrop(frame, detection, cropMargin, stage.inputSize);
+        const tensor = new ort.Tensor('float32', cropBuffer, [1, 3, stage.inputSize, stage.inputSize]);
+        const results = await stage.session.run({ [inputName]: tensor });
+        detection.classification = topClass(results[outputKey].data, stage.names);
+    }
+}
 
-            // Get first output
-            const outputKey = session.outputNames[0];
-            const outputTensor = results[outputKey];
+// regions: frame rectangles to run separately (tiled mode); the whole frame when omitted
+// decode: { names, settings } to decode the boxes and measure the rings here
+// cascade: { cropMargin } to also run the classifier on every decoded box
+async function runInference({ id, frame, inputSize, regions, decode, cascade, sentAt, receivedAt }) {
+    processing = true;
+
+    try {
+        const startRequest = performance.now();
+        const inputName = session.inputNames[0];
+        const outputKey = session.outputNames[0];
+        const outputs = [];
+        let preprocessTime = 0;
+        let inferTime = 0;
+
+        for (const region of regions || [{ x: 0, y: 0, width: frame.width, height: frame.height }]) {
+            const startPreprocess = performance.now();
+            const letterbox = preprocess(frame, inputSize, region);
+            const startInfer = performance.now();
+            preprocessTime += startInfer - startPreprocess;
+
+            const tensor = new ort.Tensor('float32', inputBuffer, [1, 3, inputSize, inputSize]);
+            const results = await session.run({ [inputName]: tensor });
+            inferTime += performance.now() - startInfer;
 
+            const outputTensor = results[outputKey];
             if (!outputTensor || !outputTensor.data) {
                 throw new Error('Invalid output tensor received');
             }
+            outputs.push({ data: outputTensor.data, dims: outputTensor.dims, letterbox, region });
+        }
+
+        let detections = null;
+        let analyseTime = 0;
+        let classifyTime = 0;
+        if (decode) {
+            const startAnalyse = performance.now();
+            detections = analyseDetections(frame, outputs, decode);
+            analyseTime = performance.now() - startAnalyse;
+            if (cascade && classifier) {
+                const startClassify = performance.now();
+                await classifyDetections(frame, detections, cascade);
+                classifyTime = performance.now() - startClassify;
+            }
+        }
+        frame.close();
+        outputs.forEach(output => {
+            output.data = output.data.buffer;
+        });
+
+        self.postMessage(
+            {
+                type: 'inference',
+                id,
+                outputs,
+                detections,
+                timings: {
+                    preprocess: preprocessTime.toFixed(1),
+                    run: inferTime.toFixed(1),
+                    analyse: analyseTime.toFixed(1),
+                    classify: classifyTime.toFixed(1),
+                    crops: detections && cascade && classifier ? detections.length : 0,
+                    tiles: outputs.length,
+                    queued: (startRequest + performance.timeOrigin - receivedAt).toFixed(1),
+                    sentAt,
+                    receivedAt,
+                    postedAt: wallClock()
+                }
+            },
+            outputs.map(output => output.data)
+        );
+    } catch (err) {
+        frame.close();
+        console.error('[Worker] Inference error:', err);
+        self.postMessage({ 
+            type: 'error', 
+            id,
+            message: `Inference failed: ${err.message}` 
+        });
+    } finally {
+        processing = false;
+        if (queuedRequest) {
+            const next = queuedRequest;
+            queuedRequest = null;
+            runInference(next);
+        }
+    }
+}
 
-            self.postMessage(
-                {
-                    type: 'inference',
-                    data: outputTensor.data.buffer,
-                    dims: outputTensor.dims,
-                    inferTime,
-                },
-                [outputTensor.data.buffer]
-            );
-        } catch (err) {
-            console.error('[Worker] Inference error:', err);
+self.onmessage = (e) => {
+    const { type, id } = e.data;
+    const receivedAt = wallClock();
+
+    if (type === 'loadModel') {
+        loadModel(e.data);
+    }
+
+    if (type === 'loadClassifier') {
+        loadClassifier(e.data);
+    }
+
+    if (type === 'infer') {
+        const request = { ...e.data, receivedAt };
+
+        if (!session) {
+            request.frame.close();
             self.postMessage({ 
                 type: 'error', 
-                message: `Inference failed: ${err.message}` 
+                id,
+                message: 'Model not loaded' 
             });
-        } finally {
-            processing = false;
+            return;
+        }
+
+        if (processing) {
+            // Tell the caller explicitly instead of leaving its request hanging
+            if (queuedRequest) {
+                queuedRequest.frame.close();
+                self.postMessage({ type: 'dropped', id: queuedRequest.id, reason: 'superseded' });
+            }
+            queuedRequest = request;
+            return;
         }
+
+        runInference(request);
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,233 @@
+import { solveLinear } from './linalg';
+
+// Inner and outer contour of a ring inside its detection box. Rays are cast from the box
+// centre, the intensity profile along each ray is differentiated, and the outermost strong
+// edge (outer boundary) and the strongest opposite-signed edge inside it (inner boundary)
+// are located to sub-pixel precision. Ellipses fitted to both point sets give OD, ID, CS and
+// ovality. Runs in the inference worker, on the frame it was sent, so the main thread never
+// reads pixels back.
+
+const RAY_COUNT = 72;
+const RAY_STEP_PX = 0.5;
+// Search the outer edge between these fractions of the box half-size
+const OUTER_SEARCH = [0.5, 1.25];
+// Fraction of the strongest gradient an edge needs to count as the outer boundary
+const EDGE_STRENGTH = 0.6;
+// Inner edge must sit at least this far (fraction of half-size) inside the outer one
+const MIN_CROSS_SECTION = 0.04;
+const MIN_RAYS_FOR_FIT = 12;
+const OUTLIER_MADS = 3;
+const REGION_MARGIN = 0.3;
+
+let scratchCtx = null;
+
+// Greyscale pixels of the box (plus margin) from the frame (an ImageBitmap or canvas)
+export function readRegion(frame, box) {
+  const marginX = box.width * REGION_MARGIN;
+  const marginY = box.height * REGION_MARGIN;
+  const x = Math.max(0, Math.floor(box.x1 - marginX));
+  const y = Math.max(0, Math.floor(box.y1 - marginY));
+  const width = Math.min(frame.width, Math.ceil(box.x2 + marginX)) - x;
+  const height = Math.min(frame.height, Math.ceil(box.y2 + marginY)) - y;
+  if (width < 8 || height < 8) return null;
+
+  if (!scratchCtx) {
+    scratchCtx = new OffscreenCanvas(width, height).getContext('2d', { willReadFrequently: true });
+  }
+  const scratch = scratchCtx.canvas;
+  if (scratch.width < width) scratch.width = width;
+  if (scratch.height < height) scratch.height = height;
+  scratchCtx.drawImage(frame, x, y, width, height, 0, 0, width, height);
+  const rgba = scratchCtx.getImageData(0, 0, width, height).data;
+
+  const grey = new Float32Array(width * height);
+  for (let i = 0; i < grey.length; i++) {
+    grey[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+  return { grey, width, height, offsetX: x, offsetY: y };
+}
+
+function sample(region, x, y) {
+  const { grey, width, height } = region;
+  if (x < 0 || y < 0 || x >= width - 1 || y >= height - 1) return null;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const i = y0 * width + x0;
+  return (grey[i] * (1 - fx) + grey[i + 1] * fx) * (1 - fy) + (grey[i + width] * (1 - fx) + grey[i + width + 1] * fx) * fy;
+}
+
+// Parabola through the peak and its neighbours; returns the fractional offset in [-0.5, 0.5]
+function subSampleOffset(values, i) {
+  const left = values[i - 1];
+  const right = values[i + 1];
+  if (left === undefined || right === undefined) return 0;
+  const denominator = left - 2 * values[i] + right;
+  return denominator === 0 ? 0 : Math.max(-0.5, Math.min(0.5, (left - right) / (2 * denominator)));
+}
+
+function findEdges(region, box) {
+  const cx = (box.x1 + box.x2) / 2 - region.offsetX;
+  const cy = (box.y1 + box.y2) / 2 - region.offsetY;
+  const halfSize = (box.width + box.height) / 4;
+  const maxRadius = halfSize * OUTER_SEARCH[1];
+  const steps = Math.floor(maxRadius / RAY_STEP_PX);
+  const outer = [];
+  const inner = [];
+
+  for (let ray = 0; ray < RAY_COUNT; ray++) {
+    const angle = (ray / RAY_COUNT) * Math.PI * 2;
+    // Scale by the box aspect so rays reach the edge of elongated (tilted) rings too
+    const dx = Math.cos(angle) * (box.width / 2 / halfSize);
+    const dy = Math.sin(angle) * (box.height / 2 / halfSize);
+
+    const profile = [];
+    for (let s = 0; s <= steps; s++) {
+      const value = sample(region, cx + dx * s * RAY_STEP_PX, cy + dy * s * RAY_STEP_PX);
+      if (value === null) break;
+      profile.push(value);
+    }
+    if (profile.length < 5) continue;
+
+    const gradient = profile.map((_, s) => (s === 0 || s === profile.length - 1)
+      ? 0
+      : (profile[s + 1] - profile[s - 1]) / 2);
+
+    // Outer boundary: the outermost edge that is nearly as strong as the strongest one, so
+    // the inner boundary can't win when both have the same contrast
+    const outerFrom = Math.floor((halfSize * OUTER_SEARCH[0]) / RAY_STEP_PX);
+    let strongest = 0;
+    for (let s = outerFrom; s < gradient.length; s++) strongest = Math.max(strongest, Math.abs(gradient[s]));
+    if (strongest === 0) continue;
+    let outerIndex = -1;
+    for (let s = gradient.length - 2; s >= outerFrom && outerIndex < 0; s--) {
+      const magnitude = Math.abs(gradient[s]);
+      if (magnitude >= strongest * EDGE_STRENGTH && magnitude >= Math.abs(gradient[s - 1]) && magnitude >= Math.abs(gradient[s + 1])) {
+        outerIndex = s;
+      }
+    }
+    if (outerIndex < 0) continue;
+
+    const outerSign = Math.sign(gradient[outerIndex]);
+    const innerTo = outerIndex - Math.ceil((halfSize * MIN_CROSS_SECTION) / RAY_STEP_PX);
+    let innerIndex = -1;
+    for (let s = 1; s < innerTo; s++) {
+      if (Math.sign(gradient[s]) !== -outerSign) continue;
+      if (innerIndex < 0 || Math.abs(gradient[s]) > Math.abs(gradient[innerIndex])) innerIndex = s;
+    }
+
+    const toPoint = (index) => {
+      const r = (index + subSampleOffset(gradient.map(Math.abs), index)) * RAY_STEP_PX;
+      return { x: cx + dx * r + region.offsetX, y: cy + dy * r + region.offsetY };
+    };
+    outer.push(toPoint(outerIndex));
+    if (innerIndex > 0) inner.push(toPoint(innerIndex));
+  }
+
+  return { outer, inner };
+}
+
+// Algebraic conic fit with a + c = 1, on centred and scaled points for conditioning
+function fitConic(points) {
+  const n = points.length;
+  const mx = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const my = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const scale = Math.sqrt(points.reduce((sum, p) => sum + (p.x - mx) ** 2 + (p.y - my) ** 2, 0) / n) || 1;
+
+  // b*xy + c*(y^2 - x^2) + d*x + e*y + f = -x^2
+  const ata = Array.from({ length: 5 }, () => new Array(5).fill(0));
+  const atb = new Array(5).fill(0);
+  points.forEach(p => {
+    const x = (p.x - mx) / scale;
+    const y = (p.y - my) / scale;
+    const row = [x * y, y * y - x * x, x, y, 1];
+    for (let i = 0; i < 5; i++) {
+      atb[i] += row[i] * -x * x;
+      for (let j = 0; j < 5; j++) ata[i][j] += row[i] * row[j];
+    }
+  });
+  const solution = solveLinear(ata, atb);
+  if (!solution) return null;
+  const [b, c, d, e, f] = solution;
+  return toEllipse({ a: 1 - c, b, c, d, e, f }, mx, my, scale);
+}
+
+function toEllipse({ a, b, c, d, e, f }, mx, my, scale) {
+  const det = 4 * a * c - b * b;
+  if (det <= 0) return null; // not an ellipse
+
+  const x0 = (b * e - 2 * c * d) / det;
+  const y0 = (b * d - 2 * a * e) / det;
+  const f0 = f + (d * x0 + e * y0) / 2;
+
+  const root = Math.sqrt((a - c) ** 2 + b * b);
+  const lambda1 = (a + c + root) / 2;
+  const lambda2 = (a + c - root) / 2;
+  const axis1 = -f0 / lambda1;
+  const axis2 = -f0 / lambda2;
+  if (axis1 <= 0 || axis2 <= 0) return null;
+
+  const semiA = Math.sqrt(axis1) * scale;
+  const semiB = Math.sqrt(axis2) * scale;
+  return {
+    cx: x0 * scale + mx,
+    cy: y0 * scale + my,
+    semiMajor: Math.max(semiA, semiB),
+    semiMinor: Math.min(semiA, semiB),
+    angle: 0.5 * Math.atan2(b, a - c) + (semiA < semiB ? Math.PI / 2 : 0)
+  };
+}
+
+// Approximate distance of a point from the ellipse (radial, good enough for outlier tests)
+function radialResidual(ellipse, p) {
+  const cos = Math.cos(-ellipse.angle);
+  const sin = Math.sin(-ellipse.angle);
+  const x = (p.x - ellipse.cx) * cos - (p.y - ellipse.cy) * sin;
+  const y = (p.x - ellipse.cx) * sin + (p.y - ellipse.cy) * cos;
+  const r = Math.hypot(x, y);
+  const theta = Math.atan2(y, x);
+  const expected = (ellipse.semiMajor * ellipse.semiMinor) /
+    Math.hypot(ellipse.semiMinor * Math.cos(theta), ellipse.semiMajor * Math.sin(theta));
+  return r - expected;
+}
+
+// Fit, drop points far off the first fit (glare, debris, neighbouring parts), refit
+export function fitEllipse(points) {
+  if (points.length < MIN_RAYS_FOR_FIT) return null;
+  const first = fitConic(points);
+  if (!first) return null;
+
+  const residuals = points.map(p => Math.abs(radialResidual(first, p)));
+  const sorted = [...residuals].sort((a, b) => a - b);
+  const mad = sorted[Math.floor(sorted.length / 2)] || 1e-6;
+  // Floor the threshold at 1% of the radius so near-perfect fits don't reject good points
+  const threshold = Math.max(OUTLIER_MADS * mad * 1.4826, first.semiMinor * 0.01);
+  const kept = points.filter((_, i) => residuals[i] <= threshold);
+  if (kept.length < MIN_RAYS_FOR_FIT || kept.length === points.length) return first;
+  return fitConic(kept) || first;
+}
+
+// Edge points of the ring in image pixels; map them (e.g. onto a calibrated plane) before fitting
+export function findRingEdges(frame, box) {
+  const region = readRegion(frame, box);
+  return region ? findEdges(region, box) : null;
+}
+
+// OD/ID/CS/ovality in the units of the points passed in
+export function measureRing({ outer, inner }) {
+  const outerEllipse = fitEllipse(outer);
+  if (!outerEllipse) return null;
+  const od = outerEllipse.semiMajor + outerEllipse.semiMinor;
+  const result = {
+    od,
+    ovality: (outerEllipse.semiMajor - outerEllipse.semiMinor) * 2 / od
+  };
+
+  const innerEllipse = fitEllipse(inner);
+  if (innerEllipse && innerEllipse.semiMajor < outerEllipse.semiMinor) {
+    result.id = innerEllipse.semiMajor + innerEllipse.semiMinor;
+    result.cs = (od - result.id) / 2;
+  }
+  return result;
+}
@@ -0,0 +1,58 @@
+// Offline service worker. Built by the serviceWorker() plugin in vite.config.js,
+// which replaces the placeholders below with the build's file lists and version.
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST;
+// Cached when present; a station without the cascade classifier must still install
+const OPTIONAL_PRECACHE_URLS = self.__OPTIONAL_PRECACHE_MANIFEST;
+const CACHE_NAME = `oring-inspection-${self.__CACHE_VERSION}`;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => Promise.all([
+        cache.addAll(PRECACHE_URLS),
+        ...OPTIONAL_PRECACHE_URLS.map(url => cache.add(url).catch(() => {}))
+      ]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Hashed build assets never change: serve them straight from the cache
+  if (url.pathname.includes('/assets/')) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  // Pages and the model: prefer the network so updates get picked up, fall back offline
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches.match(request, { ignoreSearch: true })
+          .then(cached => cached || (request.mode === 'navigate' ? caches.match(self.registration.scope) : undefined))
+          .then(cached => cached || Response.error())
+      )
+  );
+});
@@ -0,0 +1,168 @@
+// Standard O-ring sizes (nominal ID and CS in mm with ± tolerances) and nearest-size matching
+
+const INCH = 25.4;
+const CUSTOM_SIZES_KEY = 'customSizeCatalogue';
+const CATALOGUE_KEY = 'sizeCatalogue';
+
+export const CATALOGUES = ['AS568', 'ISO 3601', 'Custom'];
+
+// AS568 dash numbers by cross-section series: [first dash number, CS (in), CS tolerance (in), IDs (in)].
+// Complete -001 to -475 (not the -9xx tube fitting boss seals); -001 to -003 each have a
+// cross-section of their own.
+const AS568_SERIES = [
+  [1, 0.040, 0.003, [0.029]],
+  [2, 0.050, 0.003, [0.042]],
+  [3, 0.060, 0.003, [0.056]],
+  [4, 0.070, 0.003, [
+    0.070, 0.101, 0.114, 0.145, 0.176, 0.208, 0.239, 0.301, 0.364, 0.426, 0.489, 0.551, 0.614,
+    0.676, 0.739, 0.801, 0.864, 0.926, 0.989, 1.051, 1.114, 1.176, 1.239, 1.301, 1.364, 1.489,
+    1.614, 1.739, 1.864, 1.989, 2.114, 2.239, 2.364, 2.489, 2.614, 2.739, 2.864, 2.989, 3.239,
+    3.489, 3.739, 3.989, 4.239, 4.489, 4.739, 4.989, 5.239
+  ]],
+  [102, 0.103, 0.003, [
+    0.049, 0.081, 0.112, 0.143, 0.174, 0.206, 0.237, 0.299, 0.362, 0.424, 0.487, 0.549, 0.612,
+    0.674, 0.737, 0.799, 0.862, 0.924, 0.987, 1.049, 1.112, 1.174, 1.237, 1.299, 1.362, 1.424,
+    1.487, 1.549, 1.612, 1.674, 1.737, 1.799, 1.862, 1.925, 1.987, 2.050, 2.112, 2.175, 2.237,
+    2.300, 2.362, 2.425, 2.487, 2.550, 2.612, 2.675, 2.737, 2.800, 2.862, 2.925, 3.050, 3.175,
+    3.300, 3.425, 3.550, 3.675, 3.800, 3.925, 4.050, 4.175, 4.300, 4.425, 4.550, 4.675, 4.800,
+    4.925, 5.050, 5.175, 5.300, 5.425, 5.550, 5.675, 5.800, 5.925, 6.050, 6.175, 6.300
+  ]],
+  [201, 0.139, 0.004, [
+    0.171, 0.234, 0.296, 0.359, 0.421, 0.484, 0.546, 0.609, 0.671, 0.734, 0.796, 0.859, 0.921,
+    0.984, 1.046, 1.109, 1.171, 1.234, 1.296, 1.359, 1.421, 1.484, 1.609, 1.734, 1.859, 1.984,
+    2.109, 2.234, 2.359, 2.484, 2.609, 2.734, 2.859, 2.984, 3.109, 3.234, 3.359, 3.484, 3.609,
+    3.734, 3.859, 3.984, 4.109, 4.234, 4.359, 4.484, 4.609, 4.734, 4.859, 4.984, 5.109, 5.234,
+    5.359, 5.484, 5.609, 5.734, 5.859, 5.984, 6.234, 6.484, 6.734, 6.984, 7.484, 7.984, 8.484,
+    8.984, 9.484, 9.984, 10.484, 10.984, 11.484, 11.984, 12.484, 12.984, 13.984, 14.984, 15.984,
+    16.984, 17.984, 18.984, 19.984, 20.984, 21.984, 22.984
+  ]],
+  [309, 0.210, 0.005, [
+    0.412, 0.475, 0.537, 0.600, 0.662, 0.725, 0.787, 0.850, 0.912, 0.975, 1.037, 1.100, 1.162,
+    1.225, 1.287, 1.350, 1.475, 1.600, 1.725, 1.850, 1.975, 2.100, 2.225, 2.350, 2.475, 2.600,
+    2.725, 2.850, 2.975, 3.100, 3.225, 3.350, 3.475, 3.600, 3.725, 3.850, 3.975, 4.100, 4.225,
+    4.350, 4.475, 4.600, 4.725, 4.850, 4.975, 5.100, 5.225, 5.350, 5.475, 5.600, 5.725, 5.850,
+    5.975, 6.225, 6.475, 6.725, 6.975, 7.225, 7.475, 7.725, 7.975, 8.225, 8.475, 8.725, 8.975,
+    9.225, 9.475, 9.725, 9.975, 10.475, 10.975, 11.475, 11.975, 12.975, 13.975, 14.975, 15.955,
+    16.955, 17.955, 18.955, 19.955, 20.955, 21.955, 22.940, 23.940, 24.940, 25.940
+  ]],
+  [425, 0.275, 0.006, [
+    4.475, 4.600, 4.725, 4.850, 4.975, 5.100, 5.225, 5.350, 5.475, 5.600, 5.725, 5.850, 5.975,
+    6.225, 6.475, 6.725, 6.975, 7.225, 7.475, 7.725, 7.975, 8.475, 8.975, 9.475, 9.975, 10.475,
+    10.975, 11.475, 11.975, 12.475, 12.975, 13.475, 13.975, 14.475, 14.975, 15.475, 15.955,
+    16.455, 16.955, 17.455, 17.955, 18.455, 18.955, 19.455, 19.955, 20.955, 21.955, 22.940,
+    23.940, 24.940, 25.940
+  ]]
+];
+
+// AS568 ID tolerance grows with size; banded here as [up to ID (in), ± tolerance (in)]
+const AS568_ID_TOLERANCES = [
+  [0.3, 0.005], [0.7, 0.007], [1.1, 0.010], [1.7, 0.013], [2.6, 0.018], [3.8, 0.024], [5.5, 0.032],
+  [7.0, 0.040], [9.0, 0.050], [12.0, 0.065], [15.0, 0.075], [18.0, 0.090], [21.0, 0.105], [24.0, 0.130],
+  [Infinity, 0.140]
+];
+
+// ISO 3601-1 cross-section series and the preferred inner diameters each one covers
+const ISO_SERIES = [
+  { cs: 1.80, csTolerance: 0.08, range: [1.8, 50] },
+  { cs: 2.65, csTolerance: 0.09, range: [10.6, 150] },
+  { cs: 3.55, csTolerance: 0.10, range: [18, 200] },
+  { cs: 5.30, csTolerance: 0.13, range: [40, 200] },
+  { cs: 7.00, csTolerance: 0.15, range: [109, 200] }
+];
+
+const ISO_INNER_DIAMETERS = [
+  1.8, 2, 2.24, 2.5, 2.8, 3.15, 3.55, 3.75, 4, 4.5, 4.87, 5, 5.15, 5.3, 5.6, 6, 6.3, 6.7, 6.9, 7.1,
+  7.5, 8, 8.5, 8.75, 9, 9.5, 9.75, 10, 10.6, 11.2, 11.6, 11.8, 12.1, 12.5, 12.8, 13.2, 14, 14.5,
+  15, 15.5, 16, 17, 18, 19, 20, 20.6, 21.2, 22.4, 23, 23.6, 24.3, 25, 25.8, 26.5, 27.3, 28, 29,
+  30, 31.5, 32.5, 33.5, 34.5, 35.5, 36.5, 37.5, 38.7, 40, 41.2, 42.5, 43.7, 45, 46.2, 47.5, 48.7,
+  50, 51.5, 53, 54.5, 56, 58, 60, 61.5, 63, 65, 67, 69, 71, 73, 75, 77.5, 80, 82.5, 85, 87.5, 90,
+  92.5, 95, 97.5, 100, 103, 106, 109, 112, 115, 118, 122, 125, 128, 132, 136, 140, 145, 150,
+  155, 160, 165, 170, 175, 180, 185, 190, 195, 200
+];
+
+const as568Sizes = () => AS568_SERIES.flatMap(([first, cs, csTolerance, ids]) => ids.map((id, i) => ({
+  catalogue: 'AS568',
+  code: `AS568-${String(first + i).padStart(3, '0')}`,
+  idMM: id * INCH,
+  csMM: cs * INCH,
+  idToleranceMM: AS568_ID_TOLERANCES.find(([limit]) => id <= limit)[1] * INCH,
+  csToleranceMM: csTolerance * INCH
+})));
+
+// Class B (general industrial) ID tolerance from ISO 3601-1
+const isoIdTolerance = (id) => 0.009 * id ** 0.95 + 0.11;
+
+const isoSizes = () => ISO_SERIES.flatMap(({ cs, csTolerance, range }) => ISO_INNER_DIAMETERS
+  .filter(id => id >= range[0] && id <= range[1])
+  .map(id => ({
+    catalogue: 'ISO 3601',
+    code: `ISO ${id.toFixed(2)}x${cs.toFixed(2)}`,
+    idMM: id,
+    csMM: cs,
+    idToleranceMM: isoIdTolerance(id),
+    csToleranceMM: csTolerance
+  })));
+
+export const STANDARD_SIZES = { AS568: as568Sizes(), 'ISO 3601': isoSizes() };
+
+export function sizesFor(catalogue, customSizes) {
+  if (catalogue === 'Custom') return customSizes;
+  if (catalogue === 'All') return [...STANDARD_SIZES.AS568, ...STANDARD_SIZES['ISO 3601'], ...customSizes];
+  return STANDARD_SIZES[catalogue] || [];
+}
+
+// Nearest nominal size to a measured ring (ringDimensions output, in mm). ID and CS are
+// matched together when both were measured, otherwise the OD alone (ID + 2 CS) is compared.
+// Distances are in units of tolerance so a tight small ring isn't matched to a loose large one.
+export function matchSize(sizes, dimensions) {
+  const od = dimensions.od?.mean;
+  const id = dimensions.id?.mean;
+  const cs = dimensions.cs?.mean;
+  if (!sizes.length || !(od || (id && cs))) return null;
+  const useInner = id != null && cs != null;
+
+  let best = null;
+  sizes.forEach(size => {
+    const odTolerance = size.idToleranceMM + 2 * size.csToleranceMM;
+    const deviations = useInner
+      ? { id: id - size.idMM, cs: cs - size.csMM }
+      : { od: od - (size.idMM + 2 * size.csMM) };
+    const score = useInner
+      ? Math.hypot(deviations.id / size.idToleranceMM, deviations.cs / size.csToleranceMM)
+      : Math.abs(deviations.od / odTolerance);
+    if (!best || score < best.score) {
+      const withinTolerance = useInner
+        ? Math.abs(deviations.id) <= size.idToleranceMM && Math.abs(deviations.cs) <= size.csToleranceMM
+        : Math.abs(deviations.od) <= odTolerance;
+      best = { size, deviations, score, withinTolerance };
+    }
+  });
+  return best;
+}
+
+// The model's class wins for defects; an OK ring outside its size tolerance is flagged as such
+export const OUT_OF_TOLERANCE = 'OUT_OF_TOL';
+
+export function combinedVerdict(label, match) {
+  if (label !== 'OK') return label;
+  return match && !match.withinTolerance ? OUT_OF_TOLERANCE : 'OK';
+}
+
+export function loadCustomSizes() {
+  try {
+    const sizes = JSON.parse(localStorage.getItem(CUSTOM_SIZES_KEY));
+    return Array.isArray(sizes) ? sizes : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomSizes(sizes) {
+  localStorage.setItem(CUSTOM_SIZES_KEY, JSON.stringify(sizes));
+}
+
+export const loadCatalogue = () => localStorage.getItem(CATALOGUE_KEY) || 'AS568';
+
+export function saveCatalogue(catalogue) {
+  localStorage.setItem(CATALOGUE_KEY, catalogue);
+}
@@ -0,0 +1,222 @@
+// Statistical process control over the inspection log: histogram, X̄-R control chart with
+// Western Electric rules, Cp/Cpk against spec limits, and a Pareto of defect classes
+
+const SETTINGS_KEY = 'spcSettings';
+
+export const MEASURES = [
+  ['diameterMM', 'Outer Ø', 'od'],
+  ['innerDiameterMM', 'Inner Ø', 'id'],
+  ['crossSectionMM', 'Cross-section', 'cs']
+];
+
+export const DEFAULT_SPC_SETTINGS = {
+  measure: 'diameterMM',
+  subgroupSize: 5,
+  // Only parts matched to this size code, or null for all
+  sizeCode: null,
+  lsl: null,
+  usl: null
+};
+
+export function loadSpcSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return saved ? { ...DEFAULT_SPC_SETTINGS, ...saved } : DEFAULT_SPC_SETTINGS;
+  } catch {
+    return DEFAULT_SPC_SETTINGS;
+  }
+}
+
+export function saveSpcSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// X̄-R chart factors by subgroup size: [A2, D3, D4, d2]
+const CHART_FACTORS = {
+  2: [1.880, 0, 3.267, 1.128],
+  3: [1.023, 0, 2.574, 1.693],
+  4: [0.729, 0, 2.282, 2.059],
+  5: [0.577, 0, 2.114, 2.326],
+  6: [0.483, 0, 2.004, 2.534],
+  7: [0.419, 0.076, 1.924, 2.704],
+  8: [0.373, 0.136, 1.864, 2.847],
+  9: [0.337, 0.184, 1.816, 2.970],
+  10: [0.308, 0.223, 1.777, 3.078]
+};
+
+export const SUBGROUP_SIZES = Object.keys(CHART_FACTORS).map(Number);
+
+// Spec limits for a catalogue size: nominal ± tolerance of the chosen measure
+export function specLimitsForSize(size, measure) {
+  const kind = MEASURES.find(([key]) => key === measure)[2];
+  const [nominal, tolerance] = {
+    od: [size.idMM + 2 * size.csMM, size.idToleranceMM + 2 * size.csToleranceMM],
+    id: [size.idMM, size.idToleranceMM],
+    cs: [size.csMM, size.csToleranceMM]
+  }[kind];
+  return { lsl: nominal - tolerance, usl: nominal + tolerance };
+}
+
+// Measured values oldest first (the log is kept newest first)
+export function measurementSeries(records, { measure, sizeCode }) {
+  return records
+    .filter(record => record[measure] != null && (!sizeCode || record.sizeCode === sizeCode))
+    .map(record => ({ value: record[measure], timestamp: record.timestamp }))
+    .reverse();
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+// Smallest and largest value by a loop; spreading a long log into Math.min overflows the call stack
+export function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return { min, max };
+}
+
+// Equal-width bins over the data, widened to take in the spec limits so they can be drawn
+export function histogram(values, { binCount = 20, lsl = null, usl = null } = {}) {
+  if (!values.length) return null;
+  let { min, max } = extent(values);
+  if (lsl != null) min = Math.min(min, lsl);
+  if (usl != null) max = Math.max(max, usl);
+  if (max === min) {
+    min -= 0.5;
+    max += 0.5;
+  }
+  const width = (max - min) / binCount;
+  const counts = new Array(binCount).fill(0);
+  values.forEach(value => {
+    counts[Math.min(binCount - 1, Math.floor((value - min) / width))]++;
+  });
+  return { min, max, width, counts };
+}
+
+// Consecutive, non-overlapping subgroups; a trailing partial subgroup waits for more parts
+export function xbarRChart(values, subgroupSize) {
+  const [A2, D3, D4, d2] = CHART_FACTORS[subgroupSize];
+  const subgroups = [];
+  for (let i = 0; i + subgroupSize <= values.length; i += subgroupSize) {
+    const group = values.slice(i, i + subgroupSize);
+    subgroups.push({ mean: mean(group), range: Math.max(...group) - Math.min(...group), first: i });
+  }
+  if (!subgroups.length) return null;
+
+  const grandMean = mean(subgroups.map(group => group.mean));
+  const meanRange = mean(subgroups.map(group => group.range));
+  const xbar = { centre: grandMean, ucl: grandMean + A2 * meanRange, lcl: grandMean - A2 * meanRange };
+  const range = { centre: meanRange, ucl: D4 * meanRange, lcl: D3 * meanRange };
+  return {
+    subgroups,
+    xbar: { ...xbar, violations: westernElectricViolations(subgroups.map(group => group.mean), xbar) },
+    range: { ...range, violations: beyondLimits(subgroups.map(group => group.range), range) },
+    // Within-subgroup spread, what Cp/Cpk are based on
+    sigma: meanRange / d2
+  };
+}
+
+const beyondLimits = (points, { ucl, lcl }) => {
+  const violations = new Map();
+  points.forEach((point, i) => {
+    if (point > ucl || point < lcl) violations.set(i, [1]);
+  });
+  return violations;
+};
+
+// Rule 1: a point beyond 3σ. Rule 2: 2 of 3 in a row beyond 2σ on one side. Rule 3: 4 of 5
+// beyond 1σ on one side. Rule 4: 8 in a row on one side. Returns point index -> rules broken;
+// every point of a failing run is marked.
+export function westernElectricViolations(points, { centre, ucl }) {
+  const sigma = (ucl - centre) / 3;
+  const violations = new Map();
+  const mark = (index, rule) => {
+    const rules = violations.get(index) || [];
+    if (!rules.includes(rule)) violations.set(index, [...rules, rule]);
+  };
+  if (!(sigma > 0)) return violations;
+
+  const zones = points.map(point => (point - centre) / sigma);
+  // Any `window` consecutive points with `needed` of them beyond `limit` σ on the same side
+  const runRule = (rule, window, needed, limit) => {
+    for (let end = window - 1; end < zones.length; end++) {
+      [1, -1].forEach(side => {
+        const run = zones.slice(end - window + 1, end + 1).map((zone, k) => [zone * side > limit, end - window + 1 + k]);
+        const hits = run.filter(([beyond]) => beyond);
+        if (hits.length >= needed) hits.forEach(([, index]) => mark(index, rule));
+      });
+    }
+  };
+
+  zones.forEach((zone, i) => {
+    if (Math.abs(zone) > 3) mark(i, 1);
+  });
+  runRule(2, 3, 2, 2);
+  runRule(3, 5, 4, 1);
+  runRule(4, 8, 8, 0);
+  return violations;
+}
+
+export const WESTERN_ELECTRIC_RULES = {
+  1: 'point beyond 3σ',
+  2: '2 of 3 beyond 2σ',
+  3: '4 of 5 beyond 1σ',
+  4: '8 in a row on one side'
+};
+
+// Cp/Cpk from the within-subgroup σ (R̄/d2), falling back to the sample σ without subgroups
+export function capability(values, { lsl, usl, sigma = null }) {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  const spread = sigma || standardDeviation(values);
+  if (!(spread > 0)) return null;
+  const upper = usl != null ? (usl - average) / (3 * spread) : null;
+  const lower = lsl != null ? (average - lsl) / (3 * spread) : null;
+  const sides = [upper, lower].filter(value => value != null);
+  return {
+    mean: average,
+    sigma: spread,
+    cp: lsl != null && usl != null ? (usl - lsl) / (6 * spread) : null,
+    cpk: sides.length ? Math.min(...sides) : null
+  };
+}
+
+// Defect counts per class, largest first, with the cumulative share for the Pareto line
+export function defectPareto(records, classNames) {
+  const counts = Object.fromEntries(classNames.map(name => [name, 0]));
+  records.forEach(({ defectClass }) => {
+    if (defectClass in counts) counts[defectClass]++;
+  });
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  let cumulative = 0;
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => {
+      cumulative += count;
+      return { name, count, cumulativeShare: total ? cumulative / total : 0 };
+    });
+}
+
+// Defect counts per class in equal time buckets across [from, to), for the trend under the Pareto
+export function defectTrend(records, classNames, { from, to, bucketCount = 12 }) {
+  const width = (to - from) / bucketCount;
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    start: from + i * width,
+    counts: Object.fromEntries(classNames.map(name => [name, 0]))
+  }));
+  records.forEach(({ timestamp, defectClass }) => {
+    const time = Date.parse(timestamp);
+    if (time < from || time >= to || !(defectClass in buckets[0].counts)) return;
+    buckets[Math.floor((time - from) / width)].counts[defectClass]++;
+  });
+  return buckets;
+}
@@ -0,0 +1,60 @@
+// IndexedDB access shared by everything the station keeps across reloads.
+// Bump DB_VERSION and extend upgrade() when adding a store.
+
+const DB_NAME = 'oring-inspection';
+const DB_VERSION = 5;
+
+let dbPromise = null;
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains('inspections')) {
+    const store = db.createObjectStore('inspections', { keyPath: 'id', autoIncrement: true });
+    store.createIndex('timestamp', 'timestamp');
+  }
+  if (!db.objectStoreNames.contains('calibrationProfiles')) {
+    db.createObjectStore('calibrationProfiles', { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains('trainingCaptures')) {
+    db.createObjectStore('trainingCaptures', { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains('outbox')) {
+    db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+  }
+  if (!db.objectStoreNames.contains('lots')) {
+    db.createObjectStore('lots', { keyPath: 'id' });
+  }
+}
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => upgrade(request.result);
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([promisify(fn(tx.objectStore(storeName))), done]);
+  return result;
+}
+
+export const putRecord = (storeName, record) => withStore(storeName, 'readwrite', store => store.put(record));
+export const getAllRecords = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+export const deleteRecord = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+export const clearStore = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
@@ -0,0 +1,43 @@
+// Confidence/NMS thresholds and tiling, tunable at runtime and kept per station (this browser)
+
+const SETTINGS_KEY = 'detectionSettings';
+
+export const DEFAULT_DETECTION_SETTINGS = {
+  confidence: 0.4,
+  nms: 0.5,
+  // Class-agnostic NMS also suppresses overlapping boxes of different classes
+  classAgnostic: false,
+  // Per-class overrides by label, e.g. { TEAR: { confidence: 0.25 } }
+  classOverrides: {},
+  // Tiled inference for small rings: overlapping tileSize squares (frame pixels) each run at
+  // full model resolution, optionally only over a rectangular ROI ({ x, y, width, height })
+  tiling: {
+    enabled: false,
+    tileSize: 640,
+    overlap: 0.2,
+    includeFullFrame: true,
+    roiOnly: false,
+    roi: null
+  }
+};
+
+export function loadDetectionSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return saved
+      ? { ...DEFAULT_DETECTION_SETTINGS, ...saved, tiling: { ...DEFAULT_DETECTION_SETTINGS.tiling, ...saved.tiling } }
+      : DEFAULT_DETECTION_SETTINGS;
+  } catch {
+    return DEFAULT_DETECTION_SETTINGS;
+  }
+}
+
+export function saveDetectionSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export const confidenceThreshold = (settings, label) =>
+  settings.classOverrides[label]?.confidence ?? settings.confidence;
+
+export const nmsThreshold = (settings, label) =>
+  settings.classOverrides[label]?.nms ?? settings.nms;
@@ -0,0 +1,141 @@
+import { calculateIoU } from './detectionPipeline';
+
+// Frame-to-frame tracker for detected rings. Detections are matched to existing tracks by
+// IoU (falling back to centroid distance for fast-moving parts), so each ring keeps a
+// stable id. Per track it smooths the box, accumulates numeric measurements into a rolling
+// mean/spread, and votes on the class weighted by confidence.
+
+const DEFAULT_OPTIONS = {
+  iouThreshold: 0.3,
+  // Centroid gate as a fraction of the track's box size, used when IoU is too low
+  centroidGate: 0.5,
+  minHits: 3,
+  maxMissed: 5,
+  boxSmoothing: 0.5,
+  measurementWindow: 30
+};
+
+function matchScore(track, detection, options) {
+  const overlap = calculateIoU(track.box, detection);
+  if (overlap >= options.iouThreshold) return 1 + overlap;
+
+  const dx = (track.box.x1 + track.box.x2 - detection.x1 - detection.x2) / 2;
+  const dy = (track.box.y1 + track.box.y2 - detection.y1 - detection.y2) / 2;
+  const gate = Math.max(track.box.width, track.box.height) * options.centroidGate;
+  const distance = Math.hypot(dx, dy);
+  return distance < gate ? 1 - distance / gate : 0;
+}
+
+function summarise(samples) {
+  const n = samples.length;
+  if (!n) return null;
+  const mean = samples.reduce((sum, v) => sum + v, 0) / n;
+  const variance = n > 1 ? samples.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  return { mean, std: Math.sqrt(variance), n };
+}
+
+export function createTracker(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  let tracks = [];
+  let nextId = 1;
+
+  const blendBox = (box, detection) => {
+    const k = options.boxSmoothing;
+    const x1 = box.x1 + (detection.x1 - box.x1) * k;
+    const y1 = box.y1 + (detection.y1 - box.y1) * k;
+    const x2 = box.x2 + (detection.x2 - box.x2) * k;
+    const y2 = box.y2 + (detection.y2 - box.y2) * k;
+    return { x1, y1, x2, y2, width: x2 - x1, height: y2 - y1 };
+  };
+
+  const addObservation = (track, detection) => {
+    track.detection = detection;
+    track.votes[detection.label] = (track.votes[detection.label] || 0) + detection.confidence;
+    track.voteCounts[detection.label] = (track.voteCounts[detection.label] || 0) + 1;
+
+    for (const [key, value] of Object.entries(detection.measurements || {})) {
+      if (value == null || isNaN(value)) continue;
+      const samples = track.samples[key] || (track.samples[key] = []);
+      samples.push(value);
+      if (samples.length > options.measurementWindow) samples.shift();
+    }
+
+    // Verdict: class with the highest summed confidence over the track's lifetime
+    const [label, weight] = Object.entries(track.votes).sort((a, b) => b[1] - a[1])[0];
+    track.label = label;
+    track.classId = label === detection.label ? detection.classId : track.classId;
+    track.confidence = weight / track.voteCounts[label];
+    track.measurements = Object.fromEntries(
+      Object.entries(track.samples).map(([key, samples]) => [key, summarise(samples)])
+    );
+  };
+
+  const createTrack = (detection) => {
+    const track = {
+      id: nextId++,
+      box: { x1: detection.x1, y1: detection.y1, x2: detection.x2, y2: detection.y2, width: detection.width, height: detection.height },
+      hits: 0,
+      missed: 0,
+      confirmed: false,
+      votes: {},
+      voteCounts: {},
+      samples: {},
+      classId: detection.classId
+    };
+    return track;
+  };
+
+  return {
+    // Returns the live tracks and the confirmed tracks that ended with this update
+    update(detections, { minHits = options.minHits } = {}) {
+      const candidates = [];
+      tracks.forEach((track, t) => {
+        detections.forEach((detection, d) => {
+          const score = matchScore(track, detection, options);
+          if (score > 0) candidates.push({ t, d, score });
+        });
+      });
+      candidates.sort((a, b) => b.score - a.score);
+
+      const matchedTracks = new Set();
+      const matchedDetections = new Set();
+      for (const { t, d } of candidates) {
+        if (matchedTracks.has(t) || matchedDetections.has(d)) continue;
+        matchedTracks.add(t);
+        matchedDetections.add(d);
+        const track = tracks[t];
+        track.box = blendBox(track.box, detections[d]);
+        track.hits++;
+        track.missed = 0;
+        addObservation(track, detections[d]);
+      }
+
+      tracks.forEach((track, t) => {
+        if (!matchedTracks.has(t)) track.missed++;
+      });
+
+      detections.forEach((detection, d) => {
+        if (matchedDetections.has(d)) return;
+        const track = createTrack(detection);
+        track.hits = 1;
+        addObservation(track, detection);
+        tracks.push(track);
+      });
+
+      tracks.forEach(track => {
+        if (track.hits >= minHits) track.confirmed = true;
+      });
+
+      const finished = tracks.filter(track => track.missed > options.maxMissed && track.confirmed);
+      tracks = tracks.filter(track => track.missed <= options.maxMissed);
+
+      return { tracks, finished };
+    },
+    reset() {
+      const finished = tracks.filter(track => track.confirmed);
+      tracks = [];
+      return finished;
+    },
+    getTracks: () => tracks
+  };
+}
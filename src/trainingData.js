@@ -0,0 +1,102 @@
+import { putRecord, getAllRecords, deleteRecord, clearStore } from './storage';
+import { createZip } from './zip';
+
+// Frames captured with their detections, corrected by the operator, and exported as an
+// Ultralytics dataset so production mistakes can go back into training
+
+const STORE = 'trainingCaptures';
+const IMAGE_QUALITY = 0.95;
+// Boxes smaller than this (frame pixels) are treated as stray clicks
+export const MIN_BOX_SIZE = 4;
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the frame'))), 'image/jpeg', IMAGE_QUALITY);
+});
+
+// Freeze what the frame canvas shows now together with the boxes found on it. Only the
+// label and corners are kept; measurements and track state don't belong in a dataset.
+export async function captureFrame(canvas, detections) {
+  const frame = document.createElement('canvas');
+  frame.width = canvas.width;
+  frame.height = canvas.height;
+  frame.getContext('2d').drawImage(canvas, 0, 0);
+
+  return {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    width: frame.width,
+    height: frame.height,
+    image: await canvasToBlob(frame),
+    boxes: detections.map(({ label, x1, y1, x2, y2 }) => ({ label, x1, y1, x2, y2 })),
+    edited: false
+  };
+}
+
+export const saveCapture = (capture) => putRecord(STORE, capture);
+export const deleteCapture = (id) => deleteRecord(STORE, id);
+export const clearCaptures = () => clearStore(STORE);
+
+export async function loadCaptures() {
+  const captures = await getAllRecords(STORE);
+  return captures.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Corners in either order, clipped to the image
+export function normaliseBox(box, width, height) {
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return {
+    ...box,
+    x1: clamp(Math.min(box.x1, box.x2), width),
+    y1: clamp(Math.min(box.y1, box.y2), height),
+    x2: clamp(Math.max(box.x1, box.x2), width),
+    y2: clamp(Math.max(box.y1, box.y2), height)
+  };
+}
+
+// One "class cx cy w h" line per box, normalised to the image size
+export function toYoloLabels(boxes, width, height, names) {
+  return boxes
+    .map(box => normaliseBox(box, width, height))
+    .map(({ label, x1, y1, x2, y2 }) => [
+      names.indexOf(label),
+      (x1 + x2) / 2 / width,
+      (y1 + y2) / 2 / height,
+      (x2 - x1) / width,
+      (y2 - y1) / height
+    ])
+    .map(([classId, ...values]) => [classId, ...values.map(value => value.toFixed(6))].join(' '))
+    .join('\n');
+}
+
+// The model's classes keep their ids; labels that only exist in the captures go after them
+export function datasetClassNames(captures, classNames) {
+  const extra = captures.flatMap(capture => capture.boxes.map(box => box.label))
+    .filter(label => !classNames.includes(label));
+  return [...classNames, ...new Set(extra)];
+}
+
+// images/train, labels/train and a data.yaml naming the classes. Everything goes in train;
+// split off a validation set before training.
+export function capturesToDataset(captures, classNames) {
+  const names = datasetClassNames(captures, classNames);
+  const yaml = [
+    `# O-ring inspection captures, ${captures.length} images, exported ${new Date().toISOString()}`,
+    'path: .',
+    'train: images/train',
+    'val: images/train',
+    `nc: ${names.length}`,
+    'names:',
+    ...names.map((name, i) => `  ${i}: ${name}`)
+  ].join('\n');
+
+  return createZip([
+    { name: 'data.yaml', data: yaml + '\n' },
+    ...captures.flatMap(capture => {
+      const stem = `capture-${capture.createdAt.replace(/[:.]/g, '-')}-${capture.id.slice(0, 8)}`;
+      return [
+        { name: `images/train/${stem}.jpg`, data: capture.image },
+        { name: `labels/train/${stem}.txt`, data: toYoloLabels(capture.boxes, capture.width, capture.height, names) }
+      ];
+    })
+  ]);
+}
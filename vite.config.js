@@ -1,3 +1,4 @@
+import { readFileSync } from 'node:fs';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
@@ -15,8 +16,50 @@ function crossOriginIsolation() {
   };
 }
 
+// Emit the service worker with the list of built files baked in, so every build gets a new cache.
+// optionalUrls are precached when the server has them, e.g. a model only some stations deploy.
+function serviceWorker({ source, extraUrls = [], optionalUrls = [] }) {
+  let base = '/';
+  return {
+    name: 'vite-plugin-offline-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      base = config.base;
+    },
+    generateBundle(options, bundle) {
+      const urls = [
+        base,
+        ...extraUrls.map(url => base + url),
+        ...Object.keys(bundle).filter(fileName => fileName !== 'sw.js').map(fileName => base + fileName)
+      ];
+      const version = Date.now().toString(36);
+      const code = readFileSync(source, 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(urls))
+        .replace('self.__OPTIONAL_PRECACHE_MANIFEST', JSON.stringify(optionalUrls.map(url => base + url)))
+        .replace('self.__CACHE_VERSION', JSON.stringify(version));
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: code });
+    }
+  };
+}
+
 export default defineConfig({
-  plugins: [react(), crossOriginIsolation()],
+  plugins: [
+    react(),
+    crossOriginIsolation(),
+    serviceWorker({
+      source: 'src/serviceWorker.js',
+      extraUrls: ['best.onnx', 'manifest.webmanifest', 'icon.svg'],
+      // Default cascade classifier (see DEFAULT_MODEL_SETTINGS in src/cascade.js)
+      optionalUrls: ['classifier.onnx']
+    })
+  ],
+  worker: {
+    // onnxruntime-web is an ES module and loads its WASM glue dynamically
+    format: 'es'
+  },
+  optimizeDeps: {
+    exclude: ['onnxruntime-web']
+  },
   build: {
     rollupOptions: {
       output: {